@@ -1,6 +1,12 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { UploadCloud, Scissors, ChevronsRight, Download, RotateCcw, X, AlertCircle, Loader, HardDriveDownload, Check, HelpCircle, Megaphone, ChevronLeft, ChevronRight } from 'lucide-react';
+import { UploadCloud, Scissors, ChevronsRight, Download, RotateCcw, X, AlertCircle, Loader, HardDriveDownload, Check, HelpCircle, Megaphone, ChevronLeft, ChevronRight, ChevronUp, ChevronDown, Settings, Plus, Copy, Trash2, Upload, RotateCw, FlipHorizontal, FlipVertical, Stamp, FolderOpen, History } from 'lucide-react';
+import { getCenterCropRect, getContainRect, getCroppedCanvas, getTransformedImage, normalizeOrientation, drawWatermark, WATERMARK_ANCHORS } from './imagePipeline.js';
+import { readExif } from './exif.js';
+import { DEFAULT_ADJUSTMENTS, applyAdjustments, computeAutoLevels, isNeutralAdjustments } from './adjust.js';
+import { createResizeWorkerPool, checkFormatSupport } from './resizeWorkerPool.js';
+import { saveSession, loadSession, loadSessionSummary, clearSession, isQuotaExceededError } from './sessionStore.js';
+import { DEFAULT_TYPE_DETECTION, RULE_MATCH_TYPES, RULE_TARGETS, detectImageType, findMatchingRule, validateRule } from './typeDetection.js';
 
 // === Helper Functions & Constants ===
 
@@ -11,8 +17,8 @@ const CROPPER_CSS_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/cropperjs/1.6.1/
 const JSZIP_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
 const FILESAVER_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/FileSaver.js/2.0.5/FileSaver.min.js';
 
-// メディアごとのリサイズ定義
-const RESIZE_DEFINITIONS = {
+// メディアごとのリサイズ定義 (初期値。ユーザーが編集したプリセットはlocalStorageに保存されます)
+const DEFAULT_RESIZE_DEFINITIONS = {
   EPARK: {
     '写真': { w: 660, h: 440 },
     'スタッフ': { w: 150, h: 174 },
@@ -25,18 +31,663 @@ const RESIZE_DEFINITIONS = {
   },
 };
 
-// 画像種別の定義
-const IMAGE_TYPES = ['写真', 'スタッフ', 'ロゴ'];
+// 画像種別の初期設定 (種別はプリセット管理で追加・名前の変更・並べ替えができます)
+// color: 画像一覧で種別のバッジに使う色 (TYPE_COLORSのキー)
+const DEFAULT_IMAGE_TYPES = [
+  { name: '写真', color: 'blue' },
+  { name: 'スタッフ', color: 'green' },
+  { name: 'ロゴ', color: 'purple' },
+];
+
+// 種別のバッジの色
+const TYPE_COLORS = {
+  gray: { label: 'グレー', className: 'bg-gray-100 text-gray-700', swatch: 'bg-gray-400' },
+  blue: { label: '青', className: 'bg-blue-100 text-blue-700', swatch: 'bg-blue-500' },
+  green: { label: '緑', className: 'bg-green-100 text-green-700', swatch: 'bg-green-500' },
+  purple: { label: '紫', className: 'bg-purple-100 text-purple-700', swatch: 'bg-purple-500' },
+  orange: { label: 'オレンジ', className: 'bg-orange-100 text-orange-700', swatch: 'bg-orange-500' },
+  red: { label: '赤', className: 'bg-red-100 text-red-700', swatch: 'bg-red-500' },
+  pink: { label: 'ピンク', className: 'bg-pink-100 text-pink-700', swatch: 'bg-pink-500' },
+  teal: { label: '青緑', className: 'bg-teal-100 text-teal-700', swatch: 'bg-teal-500' },
+};
+
+const getTypeBadgeClassName = (imageTypes, type) =>
+  (TYPE_COLORS[imageTypes.find(imageType => imageType.name === type)?.color] || TYPE_COLORS.gray).className;
+
+// 最終リサイズのリサンプリング方式 (browser以外はresample.jsによる計算で、ブラウザに依存しない)
+const RESAMPLING_OPTIONS = {
+  browser: 'ブラウザ標準 (段階縮小)',
+  bilinear: 'バイリニア',
+  bicubic: 'バイキュービック',
+  lanczos3: 'Lanczos3 (高画質)',
+};
+
+// 縮小後のシャープ処理 (アンシャープマスクの強さ)
+const SHARPEN_LEVELS = [
+  { value: 0, label: 'なし' },
+  { value: 0.3, label: '弱' },
+  { value: 0.6, label: '中' },
+  { value: 1.0, label: '強' },
+];
+
+// 出力形式 (プリセットの種別ごとに選択。avifはブラウザが対応している場合のみ選択可能)
+const OUTPUT_FORMATS = {
+  'image/jpeg': { label: 'JPEG', extension: 'jpg', hasQuality: true },
+  'image/png': { label: 'PNG', extension: 'png', hasQuality: false },
+  'image/webp': { label: 'WebP', extension: 'webp', hasQuality: true },
+  'image/avif': { label: 'AVIF', extension: 'avif', hasQuality: true },
+};
+const DEFAULT_OUTPUT_FORMAT = 'image/jpeg';
+
+// 出力ファイルの形式と画質の表示
+// 指定した形式にブラウザが対応しておらず別の形式(PNG)で出力した場合は、画質の代わりにその旨を表示する
+const getResultFormatLabel = (result) => {
+  const { label } = OUTPUT_FORMATS[result.format];
+  if (result.requestedFormat && result.format !== result.requestedFormat) {
+    return `${label} (${OUTPUT_FORMATS[result.requestedFormat].label}非対応)`;
+  }
+  return result.quality !== null ? `${label}・画質 ${(result.quality * 10).toFixed(1)}` : label;
+};
+const DEFAULT_BACKGROUND_COLOR = '#ffffff'; // JPEGで透過部分を塗りつぶす色
+
+// リサイズ方法 (プリセットの種別ごとに選択)
+const FIT_MODES = {
+  cover: '切り抜いて埋める',
+  contain: '余白を付けて全体を収める',
+};
+
+// contain時の余白の塗り方
+const PAD_FILLS = {
+  color: '単色',
+  transparent: '透過',
+  blur: 'ぼかし',
+};
+const MAX_MARGIN_PERCENT = 40;
+
+// プリセットの種別ごとの設定から、リサイズ方法に関するオプションを取り出す (未設定の項目は既定値)
+const getFitOptions = (targetSize) => ({
+  fit: targetSize.fit || 'cover',
+  padFill: targetSize.padFill || 'color',
+  padColor: targetSize.padColor || DEFAULT_BACKGROUND_COLOR,
+  marginPercent: targetSize.marginPercent ?? 0,
+});
+
+// 種別の設定に含まれる出力サイズの一覧 (先頭が基本のサイズ)
+// variantsで追加したサイズは、基本のサイズの出力形式・リサイズ方法などを引き継ぐ
+// 各要素はtargetSizeとして扱え、variantNameにファイル名に付けるサイズ名を持つ ('' の場合は付けない)
+const getSizeVariants = (entry) => {
+  if (!entry) return [];
+  const { variants = [], sizeName = '', ...base } = entry;
+  return [
+    { ...base, variantName: sizeName },
+    ...variants.map(variant => ({ ...base, w: variant.w, h: variant.h, variantName: variant.name })),
+  ];
+};
+
+// トリミングを調整する出力サイズ (縦横比が同じサイズはトリミングを共有するため、比率ごとに最初の1つ)
+// 戻り値: [{ variant, index (getSizeVariantsでの位置), names (同じ比率のサイズ名) }]
+const getCropVariants = (entry) => {
+  const groups = new Map();
+  getSizeVariants(entry).forEach((variant, index) => {
+    const aspectKey = getAspectKey(variant);
+    if (!groups.has(aspectKey)) groups.set(aspectKey, { variant, index, names: [] });
+    groups.get(aspectKey).names.push(variant.variantName || `${variant.w}x${variant.h}`);
+  });
+  return [...groups.values()];
+};
+
+// 出力のエンコードを行うワーカーがAVIFに対応しているかを確認 (非対応の場合、エンコード結果はPNGになる)
+let avifSupportPromise = null;
+const checkAvifSupport = () => {
+  if (!avifSupportPromise) avifSupportPromise = checkFormatSupport('image/avif');
+  return avifSupportPromise;
+};
+
+// 一度にアップロードできる枚数と、1ファイルあたりのサイズの上限
+// メモリに残すのは元画像のBlob・縮小したサムネイル・出力画像だけにし、デコードは少数ずつ、ZIPはダウンロード時にファイルへ直接書き出す
+const MAX_UPLOAD_FILES = 500;
+const MAX_UPLOAD_FILE_SIZE_MB = 30;
+// 元画像のデコード(変換・解析・サムネイル生成)を同時に行う数
+// 大量の画像を一度にデコードするとメモリを使い切るため、少数ずつ順に処理する
+const DECODE_CONCURRENCY = 2;
+// 一覧に表示するサムネイルの長辺のサイズ (メモリに残すのはこのサイズの画像だけにする)
+const THUMBNAIL_SIZE = 240;
+// ZIPの生成時に、圧縮済みのデータをこのサイズごとにBlobへまとめる (ファイルへ直接書き出せないブラウザのみ)
+const ZIP_CHUNK_BYTES = 8 * 1024 * 1024;
+
+// 配列の各要素に非同期の処理を行う (同時に実行する数をlimitまでに抑え、結果は元の順序で返す)
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+};
+
+// 編集内容をIndexedDBに保存するまでの待ち時間 (ms)
+const SESSION_SAVE_DELAY = 1000;
+// 自動保存の失敗の状態 (同じ失敗を何度も知らせないよう、知らせたかどうかも持つ)
+const INITIAL_SESSION_SAVE_STATE = { isQuotaExceeded: false, hasReportedUnsaved: false, hasReportedError: false };
+
+// メディアプリセットの保存キー
+const PRESETS_STORAGE_KEY = 'mediaPresets';
+// プリセット(保存内容・エクスポートファイル)のスキーマバージョン
+// 1: メディアの定義のみ / 2: 種別の自動判定ルールを追加 / 3: 画像種別の定義を追加
+const PRESET_SCHEMA_VERSION = 3;
+
+// メディアごとのウォーターマーク設定の保存キー
+const WATERMARKS_STORAGE_KEY = 'mediaWatermarks';
+// ウォーターマークの初期設定 (scale: 出力の幅に対する%, types: 種別ごとの合成の有無)
+const DEFAULT_WATERMARK = {
+  enabled: false,
+  kind: 'text',
+  text: '',
+  color: '#ffffff',
+  imageUrl: null, // アップロードしたPNG (data URL)
+  anchor: 'bottom-right',
+  opacity: 0.6,
+  scale: 20,
+  types: {}, // 種別ごとに合成するか (getDefaultWatermarkTypesを参照)
+};
+
+// 合成する種別の初期値 (先頭の種別だけ合成する)
+const getDefaultWatermarkTypes = (typeNames) => Object.fromEntries(typeNames.map((type, index) => [type, index === 0]));
+const WATERMARK_ANCHOR_LABELS = {
+  'top-left': '左上', 'top': '上', 'top-right': '右上',
+  'left': '左', 'center': '中央', 'right': '右',
+  'bottom-left': '左下', 'bottom': '下', 'bottom-right': '右下',
+};
+const MAX_WATERMARK_IMAGE_BYTES = 1024 * 1024; // localStorageに保存するため1MBまで
+
+// メディア・種別に合成するウォーターマークを返す (合成しない場合はnull)
+const getActiveWatermark = (watermarks, media, type) => {
+  const watermark = watermarks[media];
+  if (!watermark?.enabled || !watermark.types?.[type]) return null;
+  if (watermark.kind === 'image' ? !watermark.imageUrl : !watermark.text) return null;
+  return watermark;
+};
+
+// アップロード時の相対パス (フォルダをドロップ・選択した場合は「フォルダ/ファイル名」、ファイルを直接選択した場合はファイル名)
+const getRelativePath = (file) => {
+  const path = file.relativePath || file.path || file.webkitRelativePath || '';
+  return path.replace(/^\.?\//, '') || file.name;
+};
+
+// 相対パスのフォルダ部分 (フォルダがない場合は'')
+const getSourceFolder = (image) => (image.relativePath || image.file.name).split('/').slice(0, -1).join('/');
+
+// === 出力ファイル名 ===
+
+// ファイル名テンプレートで使える項目
+const NAME_TEMPLATE_TOKENS = {
+  '{original}': '元のファイル名',
+  '{media}': 'メディア名',
+  '{type}': '種別',
+  '{index}': '連番',
+  '{w}x{h}': 'サイズ',
+  '{variant}': 'サイズ名',
+  '{date}': '日付',
+};
+const DEFAULT_NAME_TEMPLATE = '{original}';
+const NAME_PREVIEW_COUNT = 3; // サイドバーに表示するファイル名の例の数
+
+const getBaseName = (fileName) => fileName.substring(0, fileName.lastIndexOf('.')) || fileName;
+
+// ファイル名に使えない文字を「_」に置き換える
+const sanitizeFileName = (name) => name.replace(/[\\/:*?"<>|]/g, '_').trim();
+
+// 日付をYYYYMMDD形式にする
+const formatDateToken = (date) =>
+  `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+
+// メディアと画像の組み合わせ・出力サイズごとの出力タスクを作成する (対象外の組み合わせは除く)
+const buildOutputTasks = (images, mediaList, resizeDefinitions) => mediaList.flatMap(media =>
+  images.flatMap(image =>
+    getSizeVariants(resizeDefinitions[media]?.[image.type]).map(targetSize => ({ media, image, targetSize }))
+  )
+);
+
+// 処理結果を再利用できるかの判定に使うキー (種別やプリセットが変わった場合は別のキーになる)
+const getTaskKey = ({ media, image, targetSize }) => `${media}|${image.id}|${image.type}|${JSON.stringify(targetSize)}`;
+
+// タスクのエンコード結果に影響する出力設定とウォーターマーク (作り直しの際に、前回と異なるタスクだけをエンコードし直すために使う)
+const getEncodingKey = ({ media, image }, { quality, cropStrategies, resampling, sharpen, keepMetadata }, watermarks) =>
+  JSON.stringify([
+    quality, getCropStrategy(cropStrategies, image.type), resampling, sharpen, keepMetadata,
+    getActiveWatermark(watermarks, media, image.type),
+  ]);
+
+// ZIP内のフォルダ分け (auto: 複数メディアの場合のみ「メディア/種別/」に分ける)
+const FOLDER_STRUCTURES = {
+  auto: '自動 (複数メディア時はメディア/種別)',
+  flat: 'フォルダ分けなし',
+  type: '種別ごと',
+  media: 'メディアごと',
+  'media-type': 'メディア/種別ごと',
+};
+
+// mirrorSourceFolders: アップロードしたフォルダの構成を、フォルダ分けの下に再現する
+const getOutputFolder = ({ media, image }, folderStructure, isMultiMedia, mirrorSourceFolders = false) => {
+  const structure = folderStructure === 'auto' ? (isMultiMedia ? 'media-type' : 'flat') : folderStructure;
+  let folder = '';
+  if (structure === 'type') folder = `${image.type}/`;
+  if (structure === 'media') folder = `${media}/`;
+  if (structure === 'media-type') folder = `${media}/${image.type}/`;
+  const sourceFolder = mirrorSourceFolders ? getSourceFolder(image) : '';
+  return sourceFolder ? `${folder}${sourceFolder.split('/').map(sanitizeFileName).join('/')}/` : folder;
+};
+
+// ZIPファイル名 ({date}: YYYYMMDD, {time}: HHMMSS)
+const DEFAULT_ARCHIVE_NAME = 'resized_images_{date}_{time}';
+
+const buildArchiveName = (template, date) => {
+  const time = [date.getHours(), date.getMinutes(), date.getSeconds()].map(value => String(value).padStart(2, '0')).join('');
+  const name = sanitizeFileName((template || DEFAULT_ARCHIVE_NAME).replace(/\{date\}/g, formatDateToken(date)).replace(/\{time\}/g, time));
+  return `${name.replace(/\.zip$/i, '') || 'resized_images'}.zip`;
+};
+
+// ZIPに同梱する処理内容の一覧 (manifest.csv / manifest.json)
+const MANIFEST_FORMATS = {
+  both: 'CSVとJSON',
+  csv: 'CSVのみ',
+  json: 'JSONのみ',
+  none: '含めない',
+};
+
+const MANIFEST_COLUMNS = [
+  'source_file', 'media', 'type', 'size_name', 'output_path', 'fit',
+  'crop_x', 'crop_y', 'crop_width', 'crop_height', 'crop_rotate',
+  'width', 'height', 'format', 'quality', 'bytes', 'over_limit',
+];
+
+// 出力結果1件を一覧の1行にする (トリミング範囲はcontainの場合は空)
+const toManifestEntry = (result) => ({
+  source_file: result.source,
+  media: result.media,
+  type: result.type,
+  size_name: result.targetSize.variantName || null,
+  output_path: result.path,
+  fit: result.cropRect ? 'cover' : 'contain',
+  crop_x: result.cropRect ? Math.round(result.cropRect.x) : null,
+  crop_y: result.cropRect ? Math.round(result.cropRect.y) : null,
+  crop_width: result.cropRect ? Math.round(result.cropRect.width) : null,
+  crop_height: result.cropRect ? Math.round(result.cropRect.height) : null,
+  crop_rotate: result.cropRect ? result.cropRect.rotate || 0 : null,
+  width: result.width,
+  height: result.height,
+  format: result.format,
+  quality: result.quality === null ? null : Math.round(result.quality * 100) / 100,
+  bytes: result.bytes,
+  over_limit: result.isOverLimit,
+});
+
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// manifestのファイルを作成する (CSVはExcelで文字化けしないようBOM付き)
+const createManifestFiles = (results, manifestFormat, createdAt) => {
+  const entries = results.map(toManifestEntry);
+  const files = {};
+  if (manifestFormat === 'csv' || manifestFormat === 'both') {
+    const lines = [MANIFEST_COLUMNS, ...entries.map(entry => MANIFEST_COLUMNS.map(column => entry[column]))];
+    files['manifest.csv'] = `\uFEFF${lines.map(line => line.map(escapeCsvValue).join(',')).join('\r\n')}\r\n`;
+  }
+  if (manifestFormat === 'json' || manifestFormat === 'both') {
+    files['manifest.json'] = JSON.stringify({ createdAt: createdAt.toISOString(), files: entries }, null, 2);
+  }
+  return files;
+};
+
+// 出力ファイルからZIPを作成する (画像のBlobは生成時に1つずつ読み込まれる)
+// outputFiles: [{ path, data (Blobまたは文字列) }]
+const createZip = (outputFiles) => {
+  const zip = new window.JSZip();
+  outputFiles.forEach(({ path, data }) => zip.file(path, data));
+  return zip;
+};
+
+// ZIPをストリーミングで生成し、ファイルに直接書き出す (writable: FileSystemWritableFileStream)
+// 書き込みが終わるまで生成を止めるため、メモリに残るのは処理中のファイルの分だけになる
+const writeZipToFile = (zip, writable) => new Promise((resolve, reject) => {
+  let writing = Promise.resolve();
+  const fail = (error) => {
+    writable.abort().catch(() => {});
+    reject(error);
+  };
+  const stream = zip.generateInternalStream({ type: 'uint8array', streamFiles: true });
+  stream
+    .on('data', (data) => {
+      stream.pause();
+      writing = writable.write(data).then(() => stream.resume(), fail);
+    })
+    .on('error', fail)
+    .on('end', () => {
+      writing.then(() => writable.close()).then(resolve, fail);
+    })
+    .resume();
+});
+
+// ZIPをストリーミングで生成し、Blobとして返す (ファイルへ直接書き出せないブラウザ用)
+// 一定サイズごとにBlobへまとめることで、ZIP全体を1つのバッファとして保持しない
+const generateZipBlob = (zip) => new Promise((resolve, reject) => {
+  const parts = [];
+  let chunks = [];
+  let chunkBytes = 0;
+  const flush = () => {
+    if (chunks.length === 0) return;
+    parts.push(new Blob(chunks));
+    chunks = [];
+    chunkBytes = 0;
+  };
+  zip.generateInternalStream({ type: 'uint8array', streamFiles: true })
+    .on('data', (data) => {
+      chunks.push(data);
+      chunkBytes += data.length;
+      if (chunkBytes >= ZIP_CHUNK_BYTES) flush();
+    })
+    .on('error', reject)
+    .on('end', () => {
+      flush();
+      resolve(new Blob(parts, { type: 'application/zip' }));
+    })
+    .resume();
+});
+
+// テンプレートから各タスクの出力ファイル名(拡張子なし)を作成する
+// {index}はメディアごとの画像の連番 (桁数は件数に合わせて0埋め。同じ画像のサイズ違いは同じ番号)
+// サイズ名のあるサイズは、テンプレートに{variant}がなければ末尾に「_サイズ名」を付ける
+const buildOutputBaseNames = (tasks, template, date) => {
+  const indexes = {};
+  tasks.forEach(({ media, image }) => {
+    indexes[media] = indexes[media] || new Map();
+    if (!indexes[media].has(image.id)) indexes[media].set(image.id, indexes[media].size + 1);
+  });
+  return tasks.map(({ media, image, targetSize }) => {
+    const values = {
+      original: getBaseName(image.file.name),
+      media,
+      type: image.type,
+      index: String(indexes[media].get(image.id)).padStart(Math.max(2, String(indexes[media].size).length), '0'),
+      w: targetSize.w,
+      h: targetSize.h,
+      variant: targetSize.variantName || '',
+      date: formatDateToken(date),
+    };
+    const name = sanitizeFileName(template.replace(/\{(\w+)\}/g, (token, key) => (key in values ? values[key] : token))) || values.original;
+    return targetSize.variantName && !template.includes('{variant}') ? `${name}_${targetSize.variantName}` : name;
+  });
+};
+
+// 同じパスが既にある場合は「_2」「_3」…を付けて重複を避ける (大文字・小文字の違いも重複とみなす)
+const createPathDeduplicator = () => {
+  const usedPaths = new Set();
+  return (folder, baseName, extension) => {
+    let path = `${folder}${baseName}.${extension}`;
+    for (let n = 2; usedPaths.has(path.toLowerCase()); n++) path = `${folder}${baseName}_${n}.${extension}`;
+    usedPaths.add(path.toLowerCase());
+    return path;
+  };
+};
 
-// ファイル名から画像種別を自動判定
-const detectImageType = (fileName) => {
-  const lowerCaseName = fileName.toLowerCase();
-  if (lowerCaseName.includes('staff')) return 'スタッフ';
-  if (lowerCaseName.includes('logo') || lowerCaseName.includes('ロゴ')) return 'ロゴ';
-  if (['main', 'top', 'shop', 'photo'].some(keyword => lowerCaseName.includes(keyword))) return '写真';
-  return '写真'; // デフォルト
+// 出力サイズの縦横比を既約分数の文字列にする (例: 660x440 → "3:2")
+const getAspectKey = (targetSize) => {
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  const divisor = gcd(targetSize.w, targetSize.h);
+  return `${targetSize.w / divisor}:${targetSize.h / divisor}`;
 };
 
+// 保存済みのトリミング情報を取得
+// トリミングは crops[メディア][種別@縦横比] に保存するため、種別やプリセットのサイズ比率が変わった場合は自動トリミングに戻り、
+// 元の種別・比率に戻すと以前のトリミングが復元されます。
+const getStoredCrop = (image, media, targetSize) => {
+  if (!targetSize) return null;
+  return image.crops[media]?.[`${image.type}@${getAspectKey(targetSize)}`] ?? null;
+};
+
+// トリミング情報を保存した新しいcropsオブジェクトを返す
+const setStoredCrop = (image, media, targetSize, cropData) => ({
+  ...image.crops,
+  [media]: { ...image.crops[media], [`${image.type}@${getAspectKey(targetSize)}`]: cropData },
+});
+
+// 自動トリミングの方式 (画像種別ごとに選択)
+const CROP_STRATEGIES = {
+  center: '中央',
+  pose: '人物を検出',
+  saliency: '被写体・文字を検出',
+};
+// 既存の出力が変わらないよう、被写体・文字の検出は種別ごとに選択した場合だけ使う
+const DEFAULT_CROP_STRATEGIES = { '写真': 'center', 'スタッフ': 'pose', 'ロゴ': 'center' };
+const DEFAULT_CROP_STRATEGY = 'center'; // 追加した種別の初期値
+
+const getCropStrategy = (cropStrategies, type) => cropStrategies[type] ?? DEFAULT_CROP_STRATEGY;
+
+// === 人物検出による自動トリミング ===
+
+const FACE_KEYPOINTS = ['nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear'];
+const UPPER_BODY_KEYPOINTS = ['left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow'];
+const KEYPOINT_MIN_SCORE = 0.3;
+const DETECTION_MAX_SIZE = 640; // 検出時に縮小する長辺のサイズ
+
+// 人物検出モデル (初回使用時に読み込み、以降は使い回す)
+let poseDetectorPromise = null;
+
+const loadPoseDetector = () => {
+  if (!poseDetectorPromise) {
+    poseDetectorPromise = (async () => {
+      const tf = await import('@tensorflow/tfjs');
+      const poseDetection = await import('@tensorflow-models/pose-detection');
+      // GPUの有無やブラウザに左右されず同じ結果になるよう、CPUバックエンドで推論する
+      await tf.setBackend('cpu');
+      await tf.ready();
+      return poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+        modelType: poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING,
+      });
+    })().catch((error) => {
+      poseDetectorPromise = null; // 次回の呼び出しで再試行できるようにする
+      throw error;
+    });
+  }
+  return poseDetectorPromise;
+};
+
+// 1人分のキーポイントから、顔と上半身を囲む矩形を求める (顔が写っていなければnull)
+const getPersonBox = (pose) => {
+  const points = pose.keypoints.filter(kp => kp.score >= KEYPOINT_MIN_SCORE);
+  const face = points.filter(kp => FACE_KEYPOINTS.includes(kp.name));
+  if (face.length === 0) return null;
+  const all = [...face, ...points.filter(kp => UPPER_BODY_KEYPOINTS.includes(kp.name))];
+
+  const faceXs = face.map(kp => kp.x);
+  // 顔のキーポイントは目・鼻・耳のみのため、頭頂部までの高さを顔の幅から推定する
+  const faceWidth = Math.max(Math.max(...faceXs) - Math.min(...faceXs), 1);
+  const left = Math.min(...all.map(kp => kp.x)) - faceWidth * 0.3;
+  const right = Math.max(...all.map(kp => kp.x)) + faceWidth * 0.3;
+  const top = Math.min(...face.map(kp => kp.y)) - faceWidth;
+  const bottom = Math.max(...all.map(kp => kp.y));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+// 画像内の人物を検出し、全員の顔と上半身を囲む矩形を返す
+// 戻り値: { imageWidth, imageHeight, box } (人物がいない場合 box は null)
+const detectPeople = (imageUrl) => {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.src = imageUrl;
+    image.onload = async () => {
+      try {
+        const detector = await loadPoseDetector();
+        const scale = Math.min(1, DETECTION_MAX_SIZE / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const poses = await detector.estimatePoses(canvas);
+        const boxes = poses.map(getPersonBox).filter(Boolean);
+        if (boxes.length === 0) {
+          resolve({ imageWidth: image.width, imageHeight: image.height, box: null });
+          return;
+        }
+        const left = Math.max(0, Math.min(...boxes.map(b => b.x)) / scale);
+        const top = Math.max(0, Math.min(...boxes.map(b => b.y)) / scale);
+        const right = Math.min(image.width, Math.max(...boxes.map(b => b.x + b.width)) / scale);
+        const bottom = Math.min(image.height, Math.max(...boxes.map(b => b.y + b.height)) / scale);
+        resolve({
+          imageWidth: image.width,
+          imageHeight: image.height,
+          box: { x: left, y: top, width: right - left, height: bottom - top },
+        });
+      } catch (error) {
+        reject(error);
+      }
+    };
+    image.onerror = reject;
+  });
+};
+
+// 検出した人物が収まるようにトリミング範囲を配置する
+// 人物の中心を左右中央に置き、上下は人物全体が収まれば中央に、収まらなければ頭の上に余白を残して上端を優先する
+const getSubjectCropRect = (detection, targetSize) => {
+  const { imageWidth, imageHeight, box } = detection;
+  const { width, height } = getCenterCropRect(imageWidth, imageHeight, targetSize);
+  const HEADROOM_RATIO = 0.08;
+
+  const x = box.x + box.width / 2 - width / 2;
+  const y = Math.min(box.y + box.height / 2 - height / 2, box.y - height * HEADROOM_RATIO);
+  return {
+    x: Math.round(Math.min(Math.max(x, 0), imageWidth - width)),
+    y: Math.round(Math.min(Math.max(y, 0), imageHeight - height)),
+    width: Math.round(width),
+    height: Math.round(height),
+  };
+};
+
+// === 顕著性(エッジ・彩度)による自動トリミング ===
+
+const SALIENCY_MAP_SIZE = 96; // 顕著性マップの長辺のサイズ
+const SALIENCY_SATURATION_WEIGHT = 0.5; // エッジ強度に対する彩度の重み
+const SALIENCY_CENTER_BIAS = 0.15; // 評価が拮抗した場合に中央寄りを優先する度合い
+
+// 縮小した画像からエッジ強度(Sobel)と彩度を合成した顕著性マップを作成する
+// 戻り値: { imageWidth, imageHeight, width, height, values }
+const computeSaliencyMap = (imageUrl) => {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.src = imageUrl;
+    image.onload = () => {
+      const scale = Math.min(1, SALIENCY_MAP_SIZE / Math.max(image.width, image.height));
+      const width = Math.max(3, Math.round(image.width * scale));
+      const height = Math.max(3, Math.round(image.height * scale));
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      // 透過PNGのロゴは背景を白として評価する
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, width, height);
+      ctx.drawImage(image, 0, 0, width, height);
+      const { data } = ctx.getImageData(0, 0, width, height);
+
+      const luminance = new Float32Array(width * height);
+      const saturation = new Float32Array(width * height);
+      for (let i = 0; i < width * height; i++) {
+        const r = data[i * 4], g = data[i * 4 + 1], b = data[i * 4 + 2];
+        luminance[i] = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+        saturation[i] = (Math.max(r, g, b) - Math.min(r, g, b)) / 255;
+      }
+
+      const values = new Float32Array(width * height);
+      for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+          const at = (dx, dy) => luminance[(y + dy) * width + (x + dx)];
+          const gx = at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1);
+          const gy = at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1);
+          const i = y * width + x;
+          values[i] = Math.hypot(gx, gy) + SALIENCY_SATURATION_WEIGHT * saturation[i];
+        }
+      }
+      resolve({ imageWidth: image.width, imageHeight: image.height, width, height, values });
+    };
+    image.onerror = reject;
+  });
+};
+
+// 顕著性の合計が最も大きくなる位置にトリミング範囲を配置する
+// 範囲は出力比率で切り出せる最大サイズのため、縦か横の一方向にだけ動かして評価する
+const getSaliencyCropRect = (saliency, targetSize) => {
+  const { imageWidth, imageHeight, width, height, values } = saliency;
+  const crop = getCenterCropRect(imageWidth, imageHeight, targetSize);
+  const isHorizontal = crop.width < imageWidth;
+  const mapLength = isHorizontal ? width : height;
+  const windowLength = Math.min(mapLength, Math.max(1, Math.round(isHorizontal ? crop.width * width / imageWidth : crop.height * height / imageHeight)));
+
+  // 列(または行)ごとの合計の累積和
+  const prefix = new Float32Array(mapLength + 1);
+  for (let i = 0; i < mapLength; i++) {
+    let sum = 0;
+    for (let j = 0; j < (isHorizontal ? height : width); j++) {
+      sum += isHorizontal ? values[j * width + i] : values[i * width + j];
+    }
+    prefix[i + 1] = prefix[i] + sum;
+  }
+
+  const maxOffset = mapLength - windowLength;
+  let bestOffset = maxOffset / 2;
+  let bestScore = -Infinity;
+  for (let offset = 0; offset <= maxOffset; offset++) {
+    const distance = maxOffset > 0 ? Math.abs(offset - maxOffset / 2) / (maxOffset / 2) : 0;
+    const score = (prefix[offset + windowLength] - prefix[offset]) * (1 - SALIENCY_CENTER_BIAS * distance);
+    if (score > bestScore) {
+      bestScore = score;
+      bestOffset = offset;
+    }
+  }
+
+  const rect = { ...crop };
+  if (isHorizontal) {
+    rect.x = Math.min(Math.max(bestOffset * imageWidth / width, 0), imageWidth - crop.width);
+  } else {
+    rect.y = Math.min(Math.max(bestOffset * imageHeight / height, 0), imageHeight - crop.height);
+  }
+  return { x: Math.round(rect.x), y: Math.round(rect.y), width: Math.round(rect.width), height: Math.round(rect.height) };
+};
+
+// 自動トリミングに必要な解析(人物検出・顕著性マップ)がまだ行われていなければtrue
+const needsCropAnalysis = (image, strategy) =>
+  (strategy === 'pose' && image.personDetection === undefined) ||
+  (strategy === 'saliency' && image.saliencyMap === undefined);
+
+// 一覧のサムネイル作成で更新する画像の項目 (解析結果とサムネイル)
+const THUMBNAIL_RESULT_FIELDS = ['personDetection', 'saliencyMap', 'thumbnailUrl', 'thumbnailContentRect', 'isProcessed', 'processedMedia'];
+
+// 画像に適用するトリミング範囲と、その決め方 (manual: 手動 / auto: 自動検出 / center: 中央) を返す
+// cropDataがnullの場合は中央トリミングで処理する
+// 余白を付けて全体を収める(contain)設定の場合はトリミングを行わない (status: 'contain')
+const resolveCrop = (image, media, targetSize, cropStrategies) => {
+  if (targetSize.fit === 'contain') return { cropData: null, status: 'contain' };
+  const stored = getStoredCrop(image, media, targetSize);
+  if (stored) return { cropData: stored, status: 'manual' };
+  const strategy = getCropStrategy(cropStrategies, image.type);
+  if (strategy === 'pose' && image.personDetection?.box) {
+    return { cropData: getSubjectCropRect(image.personDetection, targetSize), status: 'auto' };
+  }
+  if (strategy === 'saliency' && image.saliencyMap) {
+    return { cropData: getSaliencyCropRect(image.saliencyMap, targetSize), status: 'auto' };
+  }
+  return { cropData: null, status: 'center' };
+};
+
+// トリミング範囲をサムネイルのサイズに縮小して切り出す
 const generateCroppedPreview = (imageUrl, cropData) => {
   return new Promise((resolve, reject) => {
     const image = new Image();
@@ -46,19 +697,20 @@ const generateCroppedPreview = (imageUrl, cropData) => {
       const canvas = document.createElement('canvas');
       const ctx = canvas.getContext('2d');
 
-      canvas.width = cropData.width;
-      canvas.height = cropData.height;
+      const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(cropData.width, cropData.height));
+      canvas.width = Math.max(1, Math.round(cropData.width * scale));
+      canvas.height = Math.max(1, Math.round(cropData.height * scale));
 
       ctx.drawImage(
-        image,
+        getTransformedImage(image, cropData), // 回転・反転を反映
         cropData.x,
         cropData.y,
         cropData.width,
         cropData.height,
         0,
         0,
-        cropData.width,
-        cropData.height
+        canvas.width,
+        canvas.height
       );
       resolve(canvas.toDataURL('image/jpeg', 0.9)); // プレビュー用の画質
     };
@@ -68,29 +720,19 @@ const generateCroppedPreview = (imageUrl, cropData) => {
   });
 };
 
-const createFinalThumbnail = (imageUrl, targetSize) => {
+// cropDataを指定した場合はその範囲を、省略した場合は中央を切り出してサムネイルを生成する
+// 戻り値: { url, contentRect (サムネイル内で画像が描画されている範囲。色調補正のプレビューは余白を除いたこの範囲に適用する) }
+const createFinalThumbnail = (imageUrl, targetSize, cropData = null) => {
   return new Promise((resolve, reject) => {
-    const THUMB_SIZE = 240; // サムネイル画像の解像度 (96x96の表示領域に対して高めに設定)
+    const THUMB_SIZE = THUMBNAIL_SIZE; // サムネイル画像の解像度 (96x96の表示領域に対して高めに設定)
     const image = new Image();
     image.crossOrigin = 'anonymous';
     image.src = imageUrl;
 
     image.onload = () => {
-      let sourceX, sourceY, sourceWidth, sourceHeight;
-      const imageAspect = image.width / image.height;
       const targetAspect = targetSize.w / targetSize.h;
-
-      if (imageAspect > targetAspect) {
-        sourceHeight = image.height;
-        sourceWidth = image.height * targetAspect;
-        sourceX = (image.width - sourceWidth) / 2;
-        sourceY = 0;
-      } else {
-        sourceWidth = image.width;
-        sourceHeight = image.width / targetAspect;
-        sourceX = 0;
-        sourceY = (image.height - sourceHeight) / 2;
-      }
+      const { x: sourceX, y: sourceY, width: sourceWidth, height: sourceHeight } =
+        cropData || getCenterCropRect(image.width, image.height, targetSize);
 
       const thumbCanvas = document.createElement('canvas');
       thumbCanvas.width = THUMB_SIZE;
@@ -110,19 +752,78 @@ const createFinalThumbnail = (imageUrl, targetSize) => {
       const destX = (THUMB_SIZE - destWidth) / 2;
       const destY = (THUMB_SIZE - destHeight) / 2;
 
-      ctx.drawImage(
-        image,
-        sourceX,
-        sourceY,
-        sourceWidth,
-        sourceHeight,
-        destX,
-        destY,
-        destWidth,
-        destHeight
-      );
+      let contentRect = { x: destX, y: destY, width: destWidth, height: destHeight };
+      if (targetSize.fit === 'contain') {
+        // 出力と同じ余白の付け方でプレビューする
+        const fittedSize = { w: Math.round(destWidth), h: Math.round(destHeight) };
+        const fitOptions = getFitOptions(targetSize);
+        const fitted = getCroppedCanvas(image, null, fittedSize, fitOptions);
+        ctx.drawImage(fitted, destX, destY);
+        const rect = getContainRect(image.width, image.height, fittedSize, fitOptions.marginPercent);
+        contentRect = { ...rect, x: destX + rect.x, y: destY + rect.y };
+      } else {
+        ctx.drawImage(
+          getTransformedImage(image, cropData), // 回転・反転を反映
+          sourceX,
+          sourceY,
+          sourceWidth,
+          sourceHeight,
+          destX,
+          destY,
+          destWidth,
+          destHeight
+        );
+      }
 
-      resolve(thumbCanvas.toDataURL('image/jpeg', 0.85));
+      resolve({ url: thumbCanvas.toDataURL('image/jpeg', 0.85), contentRect });
+    };
+    image.onerror = reject;
+  });
+};
+
+// 画像全体をサムネイルのサイズに縮小する (出力の対象外の種別の一覧表示用)
+const createPlainThumbnail = (imageUrl) => {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.src = imageUrl;
+    image.onload = () => {
+      const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(image.width * scale));
+      canvas.height = Math.max(1, Math.round(image.height * scale));
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      // 透過PNGのロゴも透過のまま表示できるようPNGで保存する
+      resolve(canvas.toDataURL('image/png'));
+    };
+    image.onerror = reject;
+  });
+};
+
+// 色調補正のスライダー (値はいずれも -100〜100)
+const ADJUSTMENT_SLIDERS = [
+  { key: 'brightness', label: '明るさ' },
+  { key: 'contrast', label: 'コントラスト' },
+  { key: 'saturation', label: '彩度' },
+  { key: 'temperature', label: '色温度' },
+  { key: 'tint', label: '色かぶり' },
+];
+const AUTO_LEVELS_SAMPLE_SIZE = 512; // 自動レベル補正で解析する画像の長辺のサイズ
+
+// 元画像を縮小して解析し、自動レベル補正の黒点・白点を求める
+const analyzeAutoLevels = (imageUrl) => {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.src = imageUrl;
+    image.onload = () => {
+      const scale = Math.min(1, AUTO_LEVELS_SAMPLE_SIZE / Math.max(image.width, image.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(image.width * scale));
+      canvas.height = Math.max(1, Math.round(image.height * scale));
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(computeAutoLevels(ctx.getImageData(0, 0, canvas.width, canvas.height)));
     };
     image.onerror = reject;
   });
@@ -167,6 +868,76 @@ const useScript = (url) => {
   return { isLoaded, error };
 };
 
+// 保存されたプリセットを読み込む
+// 保存形式: { schemaVersion, media: { メディア名: 種別ごとの設定 }, typeDetection, imageTypes }
+// (スキーマバージョン1ではメディアの定義だけをそのまま保存していたため、その形式も読み込む)
+const loadStoredPresets = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY));
+    if (saved && typeof saved === 'object') {
+      const isLegacy = saved.schemaVersion === undefined;
+      const media = isLegacy ? saved : saved.media;
+      if (media && Object.keys(media).length > 0) {
+        return {
+          presets: media,
+          typeDetection: (!isLegacy && saved.typeDetection) || DEFAULT_TYPE_DETECTION,
+          imageTypes: (!isLegacy && saved.imageTypes) || DEFAULT_IMAGE_TYPES,
+        };
+      }
+    }
+  } catch (error) {
+    console.error("プリセットの読み込みに失敗しました:", error);
+  }
+  return { presets: DEFAULT_RESIZE_DEFINITIONS, typeDetection: DEFAULT_TYPE_DETECTION, imageTypes: DEFAULT_IMAGE_TYPES };
+};
+
+// カスタムフック：メディアプリセット・画像種別・種別の自動判定ルールの読み込みと保存
+const useMediaPresets = () => {
+  const [stored, setStored] = useState(loadStoredPresets);
+
+  // settings: { presets, typeDetection, imageTypes }
+  // 保存できなかった場合 (容量不足やプライベートモードなど) は、設定を変更せずにfalseを返す
+  const savePresets = useCallback((settings) => {
+    const { presets, typeDetection, imageTypes } = settings;
+    try {
+      localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify({ schemaVersion: PRESET_SCHEMA_VERSION, media: presets, typeDetection, imageTypes }));
+    } catch (error) {
+      console.error("プリセットの保存に失敗しました:", error);
+      return false;
+    }
+    setStored(settings);
+    return true;
+  }, []);
+
+  return { ...stored, savePresets };
+};
+
+// カスタムフック：メディアごとのウォーターマーク設定 (localStorageに保存)
+const useWatermarks = () => {
+  const [watermarks, setWatermarks] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(WATERMARKS_STORAGE_KEY)) || {};
+    } catch (error) {
+      console.error("ウォーターマーク設定の読み込みに失敗しました:", error);
+      return {};
+    }
+  });
+
+  // 保存できなかった場合 (画像のdata URLで容量を超えた場合など) は、設定を変更せずにfalseを返す
+  const saveWatermarks = useCallback((newWatermarks) => {
+    try {
+      localStorage.setItem(WATERMARKS_STORAGE_KEY, JSON.stringify(newWatermarks));
+    } catch (error) {
+      console.error("ウォーターマーク設定の保存に失敗しました:", error);
+      return false;
+    }
+    setWatermarks(newWatermarks);
+    return true;
+  }, []);
+
+  return { watermarks, saveWatermarks };
+};
+
 const AppHeader = ({ currentStep, steps, isLoading }) => {
   return (
     <header className="bg-white/80 backdrop-blur-lg border-b border-gray-200/80 px-4 sm:px-6 py-3 grid grid-cols-3 items-center flex-shrink-0 h-20 z-10">
@@ -295,18 +1066,38 @@ const LoadingScreen = ({ title, progress, total }) => (
   </div>
 );
 
+// アップロードできる画像の形式
+const ACCEPTED_IMAGE_TYPES = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/webp': ['.webp'],
+  'image/heic': ['.heic', '.heif'],
+};
+
+const isAcceptedImageFile = (file) => Object.values(ACCEPTED_IMAGE_TYPES).flat().some(extension => file.name.toLowerCase().endsWith(extension));
+
+// フォルダ内の画像以外のファイル(説明書きなど)は、エラーにせず読み飛ばす
+const isSkippedFolderFile = (rejection) =>
+  getRelativePath(rejection.file).includes('/') && rejection.errors.every(err => err.code === 'file-invalid-type');
+
 // ファイルアップロード画面
-const UploadScreen = ({ onFilesAccepted, setErrors, updateNotifications, onShowUpdates }) => {
-  const onDrop = useCallback((acceptedFiles, fileRejections) => {
+const UploadScreen = ({ onFilesAccepted, setErrors, updateNotifications, onShowUpdates, savedSession, onRestoreSession, onDiscardSession }) => {
+  const folderInputRef = useRef(null);
+
+  const onDrop = useCallback((acceptedFiles, allRejections) => {
     let currentErrors = [];
-    if (acceptedFiles.length + fileRejections.length > 30) {
-      currentErrors.push('一度にアップロードできるファイルは30枚までです。');
+    const fileRejections = allRejections.filter(rejection => !isSkippedFolderFile(rejection));
+    if (acceptedFiles.length + fileRejections.length > MAX_UPLOAD_FILES) {
+      currentErrors.push(`一度にアップロードできるファイルは${MAX_UPLOAD_FILES}枚までです。`);
+    }
+    if (acceptedFiles.length === 0 && fileRejections.length === 0 && allRejections.length > 0) {
+      currentErrors.push('フォルダ内に対応している画像がありません。');
     }
     
     fileRejections.forEach(rejection => {
         rejection.errors.forEach(err => {
             if (err.code === 'file-too-large') {
-                currentErrors.push(`ファイルサイズが大きすぎます: ${rejection.file.name} (10MBまで)`);
+                currentErrors.push(`ファイルサイズが大きすぎます: ${rejection.file.name} (${MAX_UPLOAD_FILE_SIZE_MB}MBまで)`);
             }
             if (err.code === 'file-invalid-type') {
                 currentErrors.push(`対応していないファイル形式です: ${rejection.file.name}`);
@@ -326,17 +1117,30 @@ const UploadScreen = ({ onFilesAccepted, setErrors, updateNotifications, onShowU
 
   const { getRootProps, getInputProps, isDragActive, open } = useDropzone({
     onDrop,
-    accept: {
-      'image/jpeg': ['.jpg', '.jpeg'],
-      'image/png': ['.png'],
-      'image/webp': ['.webp'],
-      'image/heic': ['.heic', '.heif'],
-    },
-    maxSize: 10 * 1024 * 1024, // 10MB
+    accept: ACCEPTED_IMAGE_TYPES,
+    maxSize: MAX_UPLOAD_FILE_SIZE_MB * 1024 * 1024,
     noClick: true,
     noKeyboard: true,
   });
 
+  // フォルダを選択した場合も、ドロップと同じ形式に振り分けて検証する (サブフォルダ内のファイルも含まれる)
+  const handleFolderSelect = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = ''; // 同じフォルダを続けて選択できるようにする
+    const acceptedFiles = [];
+    const fileRejections = [];
+    files.forEach(file => {
+      if (!isAcceptedImageFile(file)) {
+        fileRejections.push({ file, errors: [{ code: 'file-invalid-type' }] });
+      } else if (file.size > MAX_UPLOAD_FILE_SIZE_MB * 1024 * 1024) {
+        fileRejections.push({ file, errors: [{ code: 'file-too-large' }] });
+      } else {
+        acceptedFiles.push(file);
+      }
+    });
+    onDrop(acceptedFiles, fileRejections);
+  };
+
   return (
     <div {...getRootProps()} className="w-full h-full overflow-y-auto bg-gray-100 relative">
       <input {...getInputProps()} />
@@ -377,6 +1181,36 @@ const UploadScreen = ({ onFilesAccepted, setErrors, updateNotifications, onShowU
           <p className="text-base sm:text-lg text-gray-500 mt-4 mb-8 sm:mb-12">
             複数の写真を、指定のメディアサイズに一括変換します。
           </p>
+          {savedSession && (
+            <div className="mb-6 bg-white/80 border border-gray-200/80 rounded-2xl shadow-sm p-4 flex flex-col sm:flex-row items-center justify-between gap-3 text-left">
+              <div className="flex items-center text-sm text-gray-700">
+                <History size={20} className="mr-3 text-blue-500 flex-shrink-0" />
+                <span>
+                  前回の作業が残っています ({savedSession.imageCount}枚・{new Date(savedSession.savedAt).toLocaleString('ja-JP')})
+                </span>
+              </div>
+              <div className="flex items-center space-x-2 flex-shrink-0">
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation(); // Dropzoneの発火を防ぐ
+                    onDiscardSession();
+                  }}
+                  className="px-4 py-2 rounded-lg text-sm text-gray-500 font-semibold hover:bg-gray-200/80 hover:text-gray-700 transition-colors"
+                >
+                  破棄
+                </button>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onRestoreSession();
+                  }}
+                  className="px-4 py-2 rounded-lg text-sm text-white font-bold bg-blue-600 hover:bg-blue-700 transition-colors"
+                >
+                  前回のセッションを復元
+                </button>
+              </div>
+            </div>
+          )}
           <div 
             className="relative w-full h-80 sm:h96 rounded-3xl flex flex-col items-center justify-center 
                        bg-white/60 backdrop-blur-xl border border-gray-200/50 shadow-xl p-4"
@@ -388,22 +1222,40 @@ const UploadScreen = ({ onFilesAccepted, setErrors, updateNotifications, onShowU
               </p>
               
               <p className="mt-2 text-sm text-gray-500">または</p>
-              <button 
-                type="button" 
-                onClick={(e) => {
-                    e.stopPropagation();
-                    open();
-                }} 
-                className="mt-6 px-6 sm:px-8 py-3 bg-blue-600 text-white font-bold rounded-xl shadow-lg 
-                           hover:bg-blue-700 transform hover:-translate-y-0.5 transition-all duration-200"
-              >
-                ファイルを選択
-              </button>
+              <div className="mt-6 flex items-center justify-center gap-3">
+                <button 
+                  type="button" 
+                  onClick={(e) => {
+                      e.stopPropagation();
+                      open();
+                  }} 
+                  className="px-6 sm:px-8 py-3 bg-blue-600 text-white font-bold rounded-xl shadow-lg 
+                             hover:bg-blue-700 transform hover:-translate-y-0.5 transition-all duration-200"
+                >
+                  ファイルを選択
+                </button>
+                <button
+                  type="button"
+                  onClick={(e) => {
+                      e.stopPropagation();
+                      folderInputRef.current?.click();
+                  }}
+                  className="flex items-center px-5 sm:px-6 py-3 bg-white/80 text-gray-700 font-bold rounded-xl shadow-lg border border-gray-200
+                             hover:bg-white transform hover:-translate-y-0.5 transition-all duration-200"
+                >
+                  <FolderOpen size={18} className="mr-2" />
+                  フォルダを選択
+                </button>
+                <input ref={folderInputRef} type="file" webkitdirectory="" multiple hidden onChange={handleFolderSelect} />
+              </div>
             </div>
             <div className="absolute bottom-4 sm:bottom-6 text-center w-full text-xs text-gray-500 px-2">
-              <p>対応: JPG, PNG, HEIC, WebP | サイズ: 10MBまで | 上限: 30枚</p>
+              <p>対応: JPG, PNG, HEIC, WebP | サイズ: {MAX_UPLOAD_FILE_SIZE_MB}MBまで | 上限: {MAX_UPLOAD_FILES}枚</p>
             </div>
           </div>
+          <p className="mt-4 text-xs text-gray-500">
+            staff・logo などの名前のフォルダに入れた画像は、フォルダ名から種別を判定します。
+          </p>
         </div>
       </div>
       {isDragActive && (
@@ -419,27 +1271,84 @@ const UploadScreen = ({ onFilesAccepted, setErrors, updateNotifications, onShowU
   );
 };
 
+// 傾けた画像の内側に収まるトリミング範囲を返す (収まっている場合はnull)
+// 外接矩形の角の余白を含めて切り出すと、出力に透明(JPEGでは背景色)の角が入るため
+// 範囲の中心を保ったまま縮小し、中央に置き直した方が大きく取れる場合は中央に置き直す
+// cropData: Cropper.jsのgetDataの値 (回転後の画像の外接矩形の左上が原点), width, height: 元画像のサイズ
+const fitCropToRotatedImage = (cropData, width, height) => {
+  const radians = ((cropData.rotate || 0) * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const boundsWidth = width * Math.abs(cos) + height * Math.abs(sin);
+  const boundsHeight = width * Math.abs(sin) + height * Math.abs(cos);
+  // 範囲の半分の大きさを、回転前の画像の向きで測ったもの
+  const extentX = (cropData.width / 2) * Math.abs(cos) + (cropData.height / 2) * Math.abs(sin);
+  const extentY = (cropData.width / 2) * Math.abs(sin) + (cropData.height / 2) * Math.abs(cos);
+  // 中心を(centerX, centerY)に置いた場合に、画像に収まる最大の倍率
+  const getMaxScale = (centerX, centerY) => {
+    const dx = centerX - boundsWidth / 2;
+    const dy = centerY - boundsHeight / 2;
+    const offsetX = Math.abs(dx * cos + dy * sin);
+    const offsetY = Math.abs(-dx * sin + dy * cos);
+    return Math.min((width / 2 - offsetX) / extentX, (height / 2 - offsetY) / extentY);
+  };
+
+  const centerX = cropData.x + cropData.width / 2;
+  const centerY = cropData.y + cropData.height / 2;
+  const keptScale = getMaxScale(centerX, centerY);
+  if (keptScale >= 1 - 1e-6) return null;
+  const centeredScale = Math.min(1, getMaxScale(boundsWidth / 2, boundsHeight / 2));
+  const [x, y, scale] = keptScale >= centeredScale
+    ? [centerX, centerY, keptScale]
+    : [boundsWidth / 2, boundsHeight / 2, centeredScale];
+  const newWidth = cropData.width * scale;
+  const newHeight = cropData.height * scale;
+  return { x: x - newWidth / 2, y: y - newHeight / 2, width: newWidth, height: newHeight };
+};
+
+// トリミング範囲が傾けた画像からはみ出している場合は、内側に収める
+const keepCropInsideImage = (cropper) => {
+  const { naturalWidth, naturalHeight } = cropper.getImageData();
+  const fitted = fitCropToRotatedImage(cropper.getData(), naturalWidth, naturalHeight);
+  if (fitted) cropper.setData(fitted);
+};
+
 // トリミング調整モーダル
 const CropModal = ({ image, onClose, onSave, onNavigatePrev, onNavigateNext, canNavigatePrev, canNavigateNext }) => {
   const imgRef = useRef(null);
   const [cropper, setCropper] = useState(null);
+  const [baseRotation, setBaseRotation] = useState(0); // 90°単位の回転
+  const [straighten, setStraighten] = useState(0); // 傾き補正 (-45°〜45°)
+  const [isStraightening, setIsStraightening] = useState(false); // 傾き補正のスライダーを操作中(フォーカス中)はグリッドを表示
   const targetSize = image?.targetSize || { w: 1, h: 1 };
+  const aspectRatio = targetSize.w / targetSize.h; // サイズ違いの設定は毎回作り直されるため、比率の値で比較する
 
   useEffect(() => {
     if (!imgRef.current || !image?.originalUrl || !window.Cropper) return;
 
     const cropperInstance = new window.Cropper(imgRef.current, {
-      aspectRatio: targetSize.w / targetSize.h,
+      aspectRatio,
       viewMode: 2,
       autoCropArea: 1,
       dragMode: 'move',
       background: false,
-      ready() { if (image.cropData) this.cropper.setData(image.cropData); },
+      ready() {
+        if (image.cropData) this.cropper.setData(image.cropData);
+        // 保存済みの回転角を、90°単位の回転と傾き補正に分けてスライダーに反映する
+        const rotate = image.cropData?.rotate || 0;
+        const base = Math.round(rotate / 90) * 90;
+        setBaseRotation(base);
+        setStraighten(rotate - base);
+        keepCropInsideImage(this.cropper);
+      },
+      cropend() {
+        keepCropInsideImage(this.cropper);
+      },
     });
     setCropper(cropperInstance);
 
     return () => cropperInstance.destroy();
-  }, [image, targetSize]);
+  }, [image, aspectRatio]);
 
   useEffect(() => {
     const handleKeyDown = async (e) => {
@@ -462,6 +1371,36 @@ const CropModal = ({ image, onClose, onSave, onNavigatePrev, onNavigateNext, can
     };
   }, [canNavigatePrev, canNavigateNext, onNavigatePrev, onNavigateNext, cropper, image]);
   
+  const handleRotate90 = () => {
+    if (!cropper) return;
+    const base = (baseRotation + 90) % 360;
+    setBaseRotation(base);
+    cropper.rotateTo(base + straighten);
+    keepCropInsideImage(cropper);
+  };
+
+  const handleStraightenChange = (value) => {
+    if (!cropper) return;
+    setStraighten(value);
+    cropper.rotateTo(baseRotation + value);
+    keepCropInsideImage(cropper);
+  };
+
+  const handleFlip = (axis) => {
+    if (!cropper) return;
+    const { scaleX = 1, scaleY = 1 } = cropper.getData();
+    if (axis === 'horizontal') cropper.scaleX(-scaleX);
+    else cropper.scaleY(-scaleY);
+  };
+
+  const handleResetTransform = () => {
+    if (!cropper) return;
+    setBaseRotation(0);
+    setStraighten(0);
+    cropper.rotateTo(0);
+    cropper.scale(1, 1);
+  };
+
   // 編集内容を保存してモーダルを閉じる
   const handleSaveAndClose = () => {
     if (cropper) {
@@ -492,8 +1431,47 @@ const CropModal = ({ image, onClose, onSave, onNavigatePrev, onNavigateNext, can
         </header>
         <div className="p-6 flex-grow overflow-y-auto">
             <p className="text-sm text-gray-600 mb-4 truncate">ファイル: {image.file.name}</p>
-            <div className="w-full h-[60vh] bg-gray-100">
+            <div className="relative w-full h-[60vh] bg-gray-100">
               <img ref={imgRef} src={image.originalUrl} alt="トリミング対象" style={{ maxWidth: '100%', maxHeight: '100%', display: 'block' }}/>
+              {isStraightening && (
+                <div
+                  className="absolute inset-0 pointer-events-none z-10"
+                  style={{
+                    backgroundImage: 'linear-gradient(rgba(255,255,255,0.6) 1px, transparent 1px), linear-gradient(90deg, rgba(255,255,255,0.6) 1px, transparent 1px)',
+                    backgroundSize: '40px 40px',
+                  }}
+                />
+              )}
+            </div>
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <button onClick={handleRotate90} className="flex items-center px-3 py-2 rounded-lg text-sm text-gray-700 bg-gray-200 hover:bg-gray-300 transition-colors">
+                <RotateCw size={16} className="mr-1" />
+                90°回転
+              </button>
+              <button onClick={() => handleFlip('horizontal')} className="flex items-center px-3 py-2 rounded-lg text-sm text-gray-700 bg-gray-200 hover:bg-gray-300 transition-colors">
+                <FlipHorizontal size={16} className="mr-1" />
+                左右反転
+              </button>
+              <button onClick={() => handleFlip('vertical')} className="flex items-center px-3 py-2 rounded-lg text-sm text-gray-700 bg-gray-200 hover:bg-gray-300 transition-colors">
+                <FlipVertical size={16} className="mr-1" />
+                上下反転
+              </button>
+              <label className="flex items-center flex-grow min-w-[16rem] text-sm text-gray-600">
+                <span className="mr-2 whitespace-nowrap">傾き補正:</span>
+                <input
+                  type="range" min="-45" max="45" step="0.5"
+                  value={straighten}
+                  onChange={(e) => handleStraightenChange(Number(e.target.value))}
+                  onPointerDown={() => setIsStraightening(true)}
+                  onFocus={() => setIsStraightening(true)}
+                  onBlur={() => setIsStraightening(false)}
+                  className="flex-grow accent-blue-600"
+                />
+                <span className="ml-2 w-14 text-right">{straighten}°</span>
+              </label>
+              <button onClick={handleResetTransform} className="px-3 py-2 rounded-lg text-sm text-gray-700 bg-gray-200 hover:bg-gray-300 transition-colors">
+                リセット
+              </button>
             </div>
         </div>
         <footer className="flex justify-between items-center p-4 border-t border-gray-200 bg-gray-50 rounded-b-2xl">
@@ -528,9 +1506,1228 @@ const CropModal = ({ image, onClose, onSave, onNavigatePrev, onNavigateNext, can
   );
 };
 
+// 画像種別を編集用の形式に変換
+// 編集中は種別をIDで扱い、種別名を変更してもメディアのサイズや判定ルールが追従するようにする
+const imageTypesToDraft = (imageTypes) => imageTypes.map((imageType, index) => ({
+  id: `type-${index}`,
+  originalName: imageType.name,
+  name: imageType.name,
+  color: imageType.color,
+}));
+
+// 編集中の種別を検証し、保存用の配列形式に変換 (エラーがあればerrorsに格納)
+const draftToImageTypes = (typesDraft) => {
+  const errors = [];
+  const imageTypes = [];
+  if (typesDraft.length === 0) errors.push('種別を1つ以上登録してください。');
+  typesDraft.forEach(typeDraft => {
+    const name = typeDraft.name.trim();
+    if (!name) {
+      errors.push('種別名が入力されていない項目があります。');
+    } else if (imageTypes.some(imageType => imageType.name === name)) {
+      errors.push(`種別名が重複しています: ${name}`);
+    } else if (sanitizeFileName(name) !== name) {
+      // 種別名はZIP内のフォルダ名にも使うため、ファイル名に使えない文字は受け付けない
+      errors.push(`種別名に使用できない文字が含まれています: ${name}`);
+    } else {
+      imageTypes.push({ name, color: TYPE_COLORS[typeDraft.color] ? typeDraft.color : 'gray' });
+    }
+  });
+  return { imageTypes, errors };
+};
+
+// 判定ルールの種別を、編集中の種別のIDに置き換える
+const typeDetectionToDraft = (typeDetection, typesDraft) => {
+  const idByName = Object.fromEntries(typesDraft.map(typeDraft => [typeDraft.name.trim(), typeDraft.id]));
+  return {
+    rules: typeDetection.rules.map(rule => ({ ...rule, type: idByName[rule.type] ?? rule.type })),
+    defaultType: idByName[typeDetection.defaultType] ?? typeDetection.defaultType,
+  };
+};
+
+// 編集中の判定ルールの種別を、種別名に戻す
+const draftToTypeDetection = (typeDetectionDraft, typesDraft) => {
+  const nameById = Object.fromEntries(typesDraft.map(typeDraft => [typeDraft.id, typeDraft.name.trim()]));
+  return {
+    rules: typeDetectionDraft.rules.map(rule => ({ ...rule, type: nameById[rule.type] ?? rule.type })),
+    defaultType: nameById[typeDetectionDraft.defaultType] ?? typeDetectionDraft.defaultType,
+  };
+};
+
+// 削除された種別を使う判定ルールを取り除く (既定の種別が削除された場合は先頭の種別にする)
+const pruneTypeDetectionDraft = (typeDetectionDraft, typesDraft) => {
+  const typeIds = new Set(typesDraft.map(typeDraft => typeDraft.id));
+  return {
+    rules: typeDetectionDraft.rules.filter(rule => typeIds.has(rule.type)),
+    defaultType: typeIds.has(typeDetectionDraft.defaultType) ? typeDetectionDraft.defaultType : typesDraft[0]?.id,
+  };
+};
+
+// 編集用にサイズの設定を複製する (サイズ違いの配列も複製し、編集が元の設定に影響しないようにする)
+const copySizeDraft = (size) => {
+  if (!size) return null;
+  return Array.isArray(size.variants) ? { ...size, variants: size.variants.map(variant => ({ ...variant })) } : { ...size };
+};
+
+// プリセット(オブジェクト形式)を編集用の配列形式に変換 (種別ごとのサイズは種別のIDで持つ)
+const presetsToDraft = (presets, typesDraft) => Object.entries(presets).map(([name, sizes], index) => ({
+  id: `${name}-${index}`,
+  originalName: name,
+  name,
+  sizes: Object.fromEntries(typesDraft.map(({ id, name: type }) => [id, copySizeDraft(sizes?.[type])])),
+}));
+
+// 編集中のプリセットを検証し、保存用のオブジェクト形式に変換 (エラーがあればerrorsに格納)
+const draftToPresets = (draft, typesDraft) => {
+  const errors = [];
+  const presets = {};
+  if (draft.length === 0) errors.push('メディアを1つ以上登録してください。');
+
+  draft.forEach(item => {
+    const name = item.name.trim();
+    if (!name) {
+      errors.push('メディア名が入力されていない項目があります。');
+      return;
+    }
+    if (presets[name]) {
+      errors.push(`メディア名が重複しています: ${name}`);
+      return;
+    }
+    presets[name] = {};
+    typesDraft.forEach(typeDraft => {
+      const type = typeDraft.name.trim();
+      const size = item.sizes[typeDraft.id];
+      if (!size) {
+        presets[name][type] = null; // 対象外
+        return;
+      }
+      const w = Number(size.w);
+      const h = Number(size.h);
+      if (!Number.isInteger(w) || !Number.isInteger(h) || w <= 0 || h <= 0) {
+        errors.push(`${name} / ${type} のサイズは1以上の整数で入力してください。`);
+      }
+      const entry = { w, h };
+      const format = size.format || DEFAULT_OUTPUT_FORMAT;
+      if (!OUTPUT_FORMATS[format]) {
+        errors.push(`${name} / ${type} の出力形式に対応していません: ${format}`);
+      }
+      entry.format = format;
+      entry.fit = size.fit === 'contain' ? 'contain' : 'cover';
+      if (entry.fit === 'contain') {
+        entry.padFill = PAD_FILLS[size.padFill] ? size.padFill : 'color';
+        entry.padColor = size.padColor || DEFAULT_BACKGROUND_COLOR;
+        if (!/^#[0-9a-f]{6}$/i.test(entry.padColor)) {
+          errors.push(`${name} / ${type} の余白の色は #RRGGBB 形式で指定してください。`);
+        }
+        entry.marginPercent = Number(size.marginPercent ?? 0);
+        if (!Number.isFinite(entry.marginPercent) || entry.marginPercent < 0 || entry.marginPercent > MAX_MARGIN_PERCENT) {
+          errors.push(`${name} / ${type} の余白率は0〜${MAX_MARGIN_PERCENT}%で入力してください。`);
+        }
+      }
+      if (size.background !== undefined) {
+        if (!/^#[0-9a-f]{6}$/i.test(size.background)) {
+          errors.push(`${name} / ${type} の背景色は #RRGGBB 形式で指定してください。`);
+        }
+        entry.background = size.background;
+      }
+      // ファイルサイズの上限 (KB)。空欄の場合は上限なし
+      if (size.maxFileSizeKB !== undefined && size.maxFileSizeKB !== '' && size.maxFileSizeKB !== null) {
+        const maxFileSizeKB = Number(size.maxFileSizeKB);
+        if (!Number.isFinite(maxFileSizeKB) || maxFileSizeKB <= 0) {
+          errors.push(`${name} / ${type} のファイルサイズ上限は0より大きい数値で入力してください。`);
+        }
+        entry.maxFileSizeKB = maxFileSizeKB;
+      }
+      // サイズ違い。サイズ名は出力ファイル名に付けるため、重複やファイル名に使えない文字は不可
+      const sizeName = typeof size.sizeName === 'string' ? size.sizeName.trim() : '';
+      const sizeNames = [];
+      if (sizeName) {
+        entry.sizeName = sizeName;
+        sizeNames.push(sizeName);
+      }
+      if (size.variants !== undefined && !Array.isArray(size.variants)) {
+        errors.push(`${name} / ${type} のサイズ違いの形式が正しくありません。`);
+      } else if (size.variants?.length > 0) {
+        entry.variants = size.variants.map(variant => {
+          const variantName = typeof variant?.name === 'string' ? variant.name.trim() : '';
+          const variantW = Number(variant?.w);
+          const variantH = Number(variant?.h);
+          if (!variantName) {
+            errors.push(`${name} / ${type} にサイズ名が入力されていないサイズ違いがあります。`);
+          } else if (sizeNames.includes(variantName)) {
+            errors.push(`${name} / ${type} のサイズ名が重複しています: ${variantName}`);
+          }
+          sizeNames.push(variantName);
+          if (!Number.isInteger(variantW) || !Number.isInteger(variantH) || variantW <= 0 || variantH <= 0) {
+            errors.push(`${name} / ${type} / ${variantName || '(名称未設定)'} のサイズは1以上の整数で入力してください。`);
+          }
+          return { name: variantName, w: variantW, h: variantH };
+        });
+      }
+      sizeNames.filter(sizeName => sizeName && sanitizeFileName(sizeName) !== sizeName).forEach(sizeName => {
+        errors.push(`${name} / ${type} のサイズ名に使用できない文字が含まれています: ${sizeName}`);
+      });
+      presets[name][type] = entry;
+    });
+  });
+
+  return { presets, errors };
+};
+
+// 種別の自動判定ルールを検証する (エラーメッセージの配列を返す)
+const validateTypeDetection = (typeDetection, typeNames) => {
+  const errors = [];
+  if (!typeNames.includes(typeDetection.defaultType)) {
+    errors.push(`既定の種別が正しくありません: ${typeDetection.defaultType ?? '未設定'}`);
+  }
+  typeDetection.rules.forEach((rule, index) => {
+    const error = validateRule(rule) || (typeNames.includes(rule.type) ? null : `対応していない種別です: ${rule.type}`);
+    if (error) errors.push(`種別の判定ルール${index + 1}: ${error}`);
+  });
+  return errors;
+};
+
+// プリセットファイルに含まれるウォーターマーク設定を検証する (問題があればメッセージを返し、なければnull)
+const validateWatermark = (watermark) => {
+  if (typeof watermark !== 'object' || Array.isArray(watermark)) return '形式が正しくありません。';
+  if (!['text', 'image'].includes(watermark.kind)) return `対応していない種類です: ${watermark.kind}`;
+  if (watermark.kind === 'text' && typeof watermark.text !== 'string') return '文字が正しくありません。';
+  if (watermark.kind === 'image' && watermark.enabled && !(typeof watermark.imageUrl === 'string' && watermark.imageUrl.startsWith('data:image/png;'))) {
+    return 'PNG画像が含まれていません。';
+  }
+  if (!WATERMARK_ANCHORS[watermark.anchor]) return `対応していない配置です: ${watermark.anchor}`;
+  if (!(watermark.opacity >= 0 && watermark.opacity <= 1)) return '不透明度は0〜1で指定してください。';
+  if (!(watermark.scale > 0)) return '大きさは0より大きい数値で指定してください。';
+  if (typeof watermark.types !== 'object' || watermark.types === null) return '合成する種別の指定が正しくありません。';
+  return null;
+};
+
+// エクスポート用のプリセットファイルの内容を作成 (ウォーターマーク設定は、設定のあるメディアだけに含める)
+const createPresetFileData = (presets, typeDetection, imageTypes, watermarks = {}) => ({
+  schemaVersion: PRESET_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  imageTypes,
+  // 重複したメディア名を検出できるよう、オブジェクトではなく配列で保存する
+  media: Object.entries(presets).map(([name, sizes]) => (watermarks[name] ? { name, sizes, watermark: watermarks[name] } : { name, sizes })),
+  typeDetection: {
+    rules: typeDetection.rules.map(({ target, matchType, pattern, type }) => ({ target, matchType, pattern, type })),
+    defaultType: typeDetection.defaultType,
+  },
+});
+
+// プリセットファイル(JSON)を解析し、編集用の配列形式に変換 (エラーがあればerrorsに格納)
+// ファイル内の種別のうち、編集中の種別と名前が一致しないものは新しい種別として追加する
+// 戻り値: { items, typesDraft (追加後の種別), fileTypeIds (ファイル内の種別のID), typeDetection (ファイルに含まれない場合はnull), errors }
+const parsePresetFile = (text, currentTypesDraft) => {
+  const failed = (error) => ({ items: [], typesDraft: currentTypesDraft, fileTypeIds: [], typeDetection: null, errors: [error] });
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return failed('プリセットファイルのJSON形式が正しくありません。');
+  }
+  if (![1, 2, PRESET_SCHEMA_VERSION].includes(data?.schemaVersion)) {
+    return failed(`対応していないプリセットファイルのバージョンです: ${data?.schemaVersion ?? '不明'}`);
+  }
+  if (!Array.isArray(data.media)) {
+    return failed('プリセットファイルにメディア定義が含まれていません。');
+  }
+
+  const timestamp = Date.now();
+  // バージョン2以前のファイルは種別の定義を含まないため、メディアの定義に含まれる種別名から求める
+  const fileTypes = Array.isArray(data.imageTypes)
+    ? data.imageTypes.map(imageType => ({ name: typeof imageType?.name === 'string' ? imageType.name.trim() : '', color: imageType?.color }))
+    : [...new Set(data.media.flatMap(entry => Object.keys(entry?.sizes || {})))].map(name => ({ name, color: null }));
+  const typesDraft = [...currentTypesDraft];
+  fileTypes.forEach((fileType, index) => {
+    if (typesDraft.some(typeDraft => typeDraft.name.trim() === fileType.name)) return;
+    typesDraft.push({ id: `import-${timestamp}-type-${index}`, originalName: null, name: fileType.name, color: TYPE_COLORS[fileType.color] ? fileType.color : 'gray' });
+  });
+  const idByName = Object.fromEntries(typesDraft.map(typeDraft => [typeDraft.name.trim(), typeDraft.id]));
+  const fileTypeIds = [...new Set(fileTypes.map(fileType => idByName[fileType.name]))];
+
+  const items = data.media.map((entry, index) => ({
+    id: `import-${timestamp}-${index}`,
+    originalName: null,
+    name: typeof entry?.name === 'string' ? entry.name.trim() : '',
+    sizes: Object.fromEntries(typesDraft.map(typeDraft => {
+      const size = entry?.sizes?.[typeDraft.name.trim()];
+      return [typeDraft.id, size ? { ...size } : null];
+    })),
+    watermark: entry?.watermark ?? null,
+  }));
+  const { errors } = draftToPresets(items, typesDraft);
+  items.forEach(item => {
+    const error = item.watermark && validateWatermark(item.watermark);
+    if (error) errors.push(`${item.name} のウォーターマーク設定: ${error}`);
+  });
+  errors.push(...draftToImageTypes(typesDraft).errors);
+
+  let typeDetection = null;
+  if (data.typeDetection) {
+    const rules = Array.isArray(data.typeDetection.rules) ? data.typeDetection.rules : [];
+    const fileTypeDetection = {
+      rules: rules.map((rule, index) => ({
+        id: `import-${timestamp}-rule-${index}`,
+        target: rule?.target,
+        matchType: rule?.matchType,
+        pattern: typeof rule?.pattern === 'string' ? rule.pattern : '',
+        type: rule?.type,
+      })),
+      defaultType: data.typeDetection.defaultType,
+    };
+    errors.push(...validateTypeDetection(fileTypeDetection, Object.keys(idByName)));
+    typeDetection = typeDetectionToDraft(fileTypeDetection, typesDraft);
+  }
+  return { items, typesDraft, fileTypeIds, typeDetection, errors };
+};
+
+// 種別の自動判定ルールの編集 (プリセット管理モーダル内で使用)
+// ルールの種別は編集中の種別のIDで扱う (typesDraft: 選択肢とする種別)
+const TypeDetectionEditor = ({ typeDetection, typesDraft, onChange }) => {
+  const [sample, setSample] = useState('');
+  const { rules } = typeDetection;
+  // Windowsのパス区切り(\)で入力された場合も判定できるようにする
+  const samplePath = sample.trim().replace(/\\/g, '/');
+  const sampleMatch = samplePath ? findMatchingRule(typeDetection, samplePath) : null;
+  const getTypeName = (id) => typesDraft.find(typeDraft => typeDraft.id === id)?.name || '(名称未設定)';
+
+  const updateRules = (newRules) => onChange({ ...typeDetection, rules: newRules });
+
+  const handleRuleChange = (id, key, value) => {
+    updateRules(rules.map(rule => rule.id === id ? { ...rule, [key]: value } : rule));
+  };
+
+  const handleMove = (index, offset) => {
+    const newRules = [...rules];
+    const [rule] = newRules.splice(index, 1);
+    newRules.splice(index + offset, 0, rule);
+    updateRules(newRules);
+  };
+
+  const handleAdd = () => {
+    updateRules([...rules, { id: `rule-${Date.now()}`, target: 'name', matchType: 'substring', pattern: '', type: typesDraft[0]?.id }]);
+  };
+
+  const selectClassName = 'px-2 py-2 bg-white border border-gray-300/50 rounded-lg text-sm';
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <p className="text-sm font-medium text-gray-600">種別の自動判定ルール:</p>
+        <p className="mt-1 text-xs text-gray-500">アップロード時に上のルールから順に照合し、最初に一致したルールの種別を設定します。フォルダのルールは、ファイルがあるフォルダから親のフォルダを順に加えたパス (例: c → b/c → a/b/c) と照合します。</p>
+      </div>
+      <div className="space-y-2">
+        {rules.map((rule, index) => {
+          const error = rule.pattern ? validateRule(rule) : null;
+          return (
+            <div key={rule.id} className="bg-gray-50 p-3 rounded-xl flex flex-wrap items-center gap-2 text-sm text-gray-600">
+              <span className="w-6 text-center font-semibold text-gray-400">{index + 1}</span>
+              <select value={rule.target} onChange={(e) => handleRuleChange(rule.id, 'target', e.target.value)} className={selectClassName} aria-label="照合対象">
+                {Object.entries(RULE_TARGETS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+              <select value={rule.matchType} onChange={(e) => handleRuleChange(rule.id, 'matchType', e.target.value)} className={selectClassName} aria-label="パターンの種類">
+                {Object.entries(RULE_MATCH_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+              <input
+                type="text"
+                value={rule.pattern}
+                onChange={(e) => handleRuleChange(rule.id, 'pattern', e.target.value)}
+                placeholder="パターン"
+                title={error || undefined}
+                className={`flex-grow min-w-[8rem] px-3 py-2 bg-white border rounded-lg text-sm font-mono ${error ? 'border-red-400' : 'border-gray-300/50'}`}
+                aria-label="パターン"
+              />
+              <span className="text-gray-400">→</span>
+              <select value={rule.type} onChange={(e) => handleRuleChange(rule.id, 'type', e.target.value)} className={selectClassName} aria-label="種別">
+                {typesDraft.map(typeDraft => <option key={typeDraft.id} value={typeDraft.id}>{getTypeName(typeDraft.id)}</option>)}
+              </select>
+              <div className="flex items-center ml-auto">
+                <button onClick={() => handleMove(index, -1)} disabled={index === 0} className="p-1.5 rounded-md text-gray-500 hover:bg-gray-200 disabled:opacity-30 transition" aria-label="優先度を上げる">
+                  <ChevronUp size={16} />
+                </button>
+                <button onClick={() => handleMove(index, 1)} disabled={index === rules.length - 1} className="p-1.5 rounded-md text-gray-500 hover:bg-gray-200 disabled:opacity-30 transition" aria-label="優先度を下げる">
+                  <ChevronDown size={16} />
+                </button>
+                <button onClick={() => updateRules(rules.filter(r => r.id !== rule.id))} className="p-1.5 rounded-md text-red-500 hover:bg-red-100 transition" aria-label="ルールを削除">
+                  <Trash2 size={16} />
+                </button>
+              </div>
+              {error && <p className="w-full pl-8 text-xs text-red-600">{error}</p>}
+            </div>
+          );
+        })}
+        <button
+          onClick={handleAdd}
+          className="w-full py-2.5 px-4 border-2 border-dashed border-gray-300 text-gray-500 font-semibold rounded-xl hover:border-blue-400 hover:text-blue-600 transition text-sm flex items-center justify-center"
+        >
+          <Plus size={14} className="mr-2" />
+          ルールを追加
+        </button>
+      </div>
+      <div className="flex items-center space-x-3 text-sm text-gray-600">
+        <span>どのルールにも一致しない場合:</span>
+        <select value={typeDetection.defaultType} onChange={(e) => onChange({ ...typeDetection, defaultType: e.target.value })} className={selectClassName}>
+          {typesDraft.map(typeDraft => <option key={typeDraft.id} value={typeDraft.id}>{getTypeName(typeDraft.id)}</option>)}
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-600 mb-2">判定のテスト:</label>
+        <input
+          type="text"
+          value={sample}
+          onChange={(e) => setSample(e.target.value)}
+          placeholder="例: 店舗A/staff/IMG_0001_st_.jpg"
+          className="w-full px-4 py-3 bg-white/80 border border-gray-300/50 rounded-xl text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+        />
+        {samplePath && (
+          <p className="mt-2 text-sm text-gray-700">
+            {sampleMatch
+              ? <>ルール{sampleMatch.index + 1}に一致 → <span className="font-semibold">{getTypeName(sampleMatch.rule.type)}</span></>
+              : <>一致するルールなし → <span className="font-semibold">{getTypeName(typeDetection.defaultType)}</span> (既定)</>}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// 画像種別の編集 (プリセット管理モーダル内で使用)
+const ImageTypesEditor = ({ typesDraft, onChange }) => {
+  const updateType = (id, update) => onChange(typesDraft.map(typeDraft => typeDraft.id === id ? { ...typeDraft, ...update } : typeDraft));
+
+  const handleMove = (index, offset) => {
+    const newTypes = [...typesDraft];
+    const [typeDraft] = newTypes.splice(index, 1);
+    newTypes.splice(index + offset, 0, typeDraft);
+    onChange(newTypes);
+  };
+
+  const handleDelete = (typeDraft) => {
+    if (!window.confirm(`種別「${typeDraft.name}」を削除しますか？\nこの種別の画像は、種別の自動判定の既定の種別に変更されます。`)) return;
+    onChange(typesDraft.filter(t => t.id !== typeDraft.id));
+  };
+
+  const handleAdd = () => onChange([...typesDraft, { id: `type-new-${Date.now()}`, originalName: null, name: '新しい種別', color: 'gray' }]);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <p className="text-sm font-medium text-gray-600">画像種別:</p>
+        <p className="mt-1 text-xs text-gray-500">種別ごとの出力サイズは、各メディアの設定で指定します。並び順は画面上の表示順になります。</p>
+      </div>
+      <div className="space-y-2">
+        {typesDraft.map((typeDraft, index) => (
+          <div key={typeDraft.id} className="bg-gray-50 p-3 rounded-xl flex flex-wrap items-center gap-3">
+            <input
+              type="text"
+              value={typeDraft.name}
+              onChange={(e) => updateType(typeDraft.id, { name: e.target.value })}
+              className="flex-grow min-w-[8rem] px-3 py-2 bg-white border border-gray-300/50 rounded-lg text-sm"
+              aria-label="種別名"
+            />
+            <div className="flex items-center gap-1.5" role="radiogroup" aria-label="バッジの色">
+              {Object.entries(TYPE_COLORS).map(([value, { label, swatch }]) => (
+                <button
+                  key={value}
+                  onClick={() => updateType(typeDraft.id, { color: value })}
+                  className={`w-5 h-5 rounded-full ${swatch} ${typeDraft.color === value ? 'ring-2 ring-offset-1 ring-blue-500' : 'opacity-60 hover:opacity-100'} transition`}
+                  role="radio"
+                  aria-checked={typeDraft.color === value}
+                  title={label}
+                />
+              ))}
+            </div>
+            <span className={`px-1.5 py-0.5 rounded text-xs font-semibold ${(TYPE_COLORS[typeDraft.color] || TYPE_COLORS.gray).className}`}>
+              {typeDraft.name || '(名称未設定)'}
+            </span>
+            <div className="flex items-center ml-auto">
+              <button onClick={() => handleMove(index, -1)} disabled={index === 0} className="p-1.5 rounded-md text-gray-500 hover:bg-gray-200 disabled:opacity-30 transition" aria-label="上へ移動">
+                <ChevronUp size={16} />
+              </button>
+              <button onClick={() => handleMove(index, 1)} disabled={index === typesDraft.length - 1} className="p-1.5 rounded-md text-gray-500 hover:bg-gray-200 disabled:opacity-30 transition" aria-label="下へ移動">
+                <ChevronDown size={16} />
+              </button>
+              <button onClick={() => handleDelete(typeDraft)} disabled={typesDraft.length === 1} className="p-1.5 rounded-md text-red-500 hover:bg-red-100 disabled:opacity-30 transition" aria-label="種別を削除">
+                <Trash2 size={16} />
+              </button>
+            </div>
+          </div>
+        ))}
+        <button
+          onClick={handleAdd}
+          className="w-full py-2.5 px-4 border-2 border-dashed border-gray-300 text-gray-500 font-semibold rounded-xl hover:border-blue-400 hover:text-blue-600 transition text-sm flex items-center justify-center"
+        >
+          <Plus size={14} className="mr-2" />
+          種別を追加
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// 画面右側に画像種別・種別の自動判定ルールを表示する際の選択値 (メディアのIDと重ならない値)
+const IMAGE_TYPES_VIEW_ID = 'image-types';
+const TYPE_DETECTION_VIEW_ID = 'type-detection';
+
+// メディアプリセット管理モーダル
+// 各メディアのウォーターマーク設定は、エクスポート・インポートのためにメディアの項目(watermark)として持つ
+const PresetManagerModal = ({ presets, typeDetection, imageTypes, watermarks, onClose, onSave, setErrors }) => {
+  const [typesDraft, setTypesDraft] = useState(() => imageTypesToDraft(imageTypes));
+  const [draft, setDraft] = useState(() => presetsToDraft(presets, typesDraft).map(item => ({ ...item, watermark: watermarks[item.name] ?? null })));
+  const [typeDetectionDraft, setTypeDetectionDraft] = useState(() => typeDetectionToDraft(typeDetection, typesDraft));
+  const [selectedId, setSelectedId] = useState(() => draft[0]?.id ?? null);
+  const [pendingImport, setPendingImport] = useState(null); // 競合があるインポート内容 (マージ/上書きの選択待ち)
+  const fileInputRef = useRef(null);
+  const [isAvifSupported, setIsAvifSupported] = useState(false);
+  const selectedItem = draft.find(item => item.id === selectedId);
+
+  useEffect(() => {
+    checkAvifSupport().then(setIsAvifSupported);
+  }, []);
+
+  const updateItem = (id, updater) => {
+    setDraft(prev => prev.map(item => item.id === id ? updater(item) : item));
+  };
+
+  // 種別を削除した場合は、その種別を使う判定ルールも取り除く
+  const handleTypesChange = (newTypesDraft) => {
+    setTypesDraft(newTypesDraft);
+    setTypeDetectionDraft(prev => pruneTypeDetectionDraft(prev, newTypesDraft));
+  };
+
+  const handleSizeChange = (type, key, value) => {
+    handleSizeOptionChange(type, key, value === '' ? '' : Number(value));
+  };
+
+  const handleSizeOptionChange = (type, key, value) => {
+    updateItem(selectedId, item => ({
+      ...item,
+      sizes: { ...item.sizes, [type]: { ...item.sizes[type], [key]: value } },
+    }));
+  };
+
+  // サイズ違いの追加・変更・削除 (幅・高さは入力途中の空欄を許可する)
+  const updateVariants = (type, update) => {
+    updateItem(selectedId, item => ({
+      ...item,
+      sizes: { ...item.sizes, [type]: { ...item.sizes[type], variants: update(item.sizes[type].variants || []) } },
+    }));
+  };
+
+  const handleVariantAdd = (type) => {
+    const size = selectedItem.sizes[type];
+    updateVariants(type, variants => [...variants, { name: `size${variants.length + 2}`, w: Math.round(size.w / 2) || 1, h: Math.round(size.h / 2) || 1 }]);
+  };
+
+  const handleVariantChange = (type, index, key, value) => {
+    const newValue = key === 'name' || value === '' ? value : Number(value);
+    updateVariants(type, variants => variants.map((variant, i) => (i === index ? { ...variant, [key]: newValue } : variant)));
+  };
+
+  const handleVariantRemove = (type, index) => {
+    updateVariants(type, variants => variants.filter((_, i) => i !== index));
+  };
+
+  const handleExcludedChange = (type, isExcluded) => {
+    updateItem(selectedId, item => ({
+      ...item,
+      sizes: { ...item.sizes, [type]: isExcluded ? null : { w: 300, h: 200 } },
+    }));
+  };
+
+  const handleAdd = () => {
+    const newItem = {
+      id: `new-${Date.now()}`,
+      originalName: null,
+      name: '新しいメディア',
+      sizes: Object.fromEntries(typesDraft.map(typeDraft => [typeDraft.id, { w: 300, h: 200 }])),
+    };
+    setDraft(prev => [...prev, newItem]);
+    setSelectedId(newItem.id);
+  };
+
+  const handleDuplicate = () => {
+    if (!selectedItem) return;
+    const copy = {
+      id: `copy-${Date.now()}`,
+      originalName: null,
+      name: `${selectedItem.name} のコピー`,
+      sizes: Object.fromEntries(typesDraft.map(({ id }) => [id, copySizeDraft(selectedItem.sizes[id])])),
+      watermark: selectedItem.watermark,
+    };
+    setDraft(prev => [...prev, copy]);
+    setSelectedId(copy.id);
+  };
+
+  const handleDelete = () => {
+    if (!selectedItem) return;
+    if (!window.confirm(`「${selectedItem.name}」を削除しますか？`)) return;
+    const remaining = draft.filter(item => item.id !== selectedId);
+    setDraft(remaining);
+    setSelectedId(remaining[0]?.id ?? null);
+  };
+
+  const handleResetToDefault = () => {
+    if (!window.confirm('すべてのプリセット・種別・種別の判定ルールを初期設定に戻しますか？')) return;
+    const defaultTypes = imageTypesToDraft(DEFAULT_IMAGE_TYPES);
+    // ウォーターマーク設定はプリセットとは別の設定のため、同じ名前のメディアでは引き継ぐ
+    const defaults = presetsToDraft(DEFAULT_RESIZE_DEFINITIONS, defaultTypes)
+      .map(item => ({ ...item, watermark: draft.find(current => current.name.trim() === item.name)?.watermark ?? null }));
+    setTypesDraft(defaultTypes);
+    setDraft(defaults);
+    setTypeDetectionDraft(typeDetectionToDraft(DEFAULT_TYPE_DETECTION, defaultTypes));
+    setSelectedId(defaults[0]?.id ?? null);
+  };
+
+  // 編集内容を検証し、保存用の形式に変換する (エラーがあればerrorsに格納)
+  const buildSettings = () => {
+    const { imageTypes: newImageTypes, errors: typeErrors } = draftToImageTypes(typesDraft);
+    const { presets: newPresets, errors } = draftToPresets(draft, typesDraft);
+    const newTypeDetection = draftToTypeDetection(typeDetectionDraft, typesDraft);
+    errors.push(...typeErrors);
+    if (typeErrors.length === 0) errors.push(...validateTypeDetection(newTypeDetection, newImageTypes.map(imageType => imageType.name)));
+    const newWatermarks = Object.fromEntries(draft.filter(item => item.watermark).map(item => [item.name.trim(), item.watermark]));
+    return { settings: { presets: newPresets, typeDetection: newTypeDetection, imageTypes: newImageTypes, watermarks: newWatermarks }, errors };
+  };
+
+  const handleExport = () => {
+    const { settings, errors } = buildSettings();
+    if (errors.length > 0) {
+      setErrors(errors);
+      return;
+    }
+    if (!window.saveAs) {
+      setErrors(['ファイル保存ライブラリが読み込まれていません。']);
+      return;
+    }
+    const json = JSON.stringify(createPresetFileData(settings.presets, settings.typeDetection, settings.imageTypes, settings.watermarks), null, 2);
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    window.saveAs(new Blob([json], { type: 'application/json' }), `media_presets_${date}.json`);
+  };
+
+  // インポート内容を編集中のプリセットに反映 (merge: 同名は置き換えて追加 / overwrite: 全て置き換え)
+  // 種別は、mergeではファイルにしかない種別を追加し、overwriteではファイル内の種別だけにする
+  // 種別の判定ルールは、mergeでは未登録のルールだけを末尾に追加し、overwriteでは置き換える
+  const applyImport = ({ items, typesDraft: importedTypesDraft, fileTypeIds, typeDetection: importedTypeDetection }, mode) => {
+    const newTypesDraft = mode === 'overwrite'
+      ? fileTypeIds.map(id => importedTypesDraft.find(typeDraft => typeDraft.id === id))
+      : importedTypesDraft;
+    setTypesDraft(newTypesDraft);
+    if (importedTypeDetection && mode === 'overwrite') {
+      setTypeDetectionDraft(pruneTypeDetectionDraft(importedTypeDetection, newTypesDraft));
+    } else if (importedTypeDetection) {
+      const getRuleKey = (rule) => [rule.target, rule.matchType, rule.pattern, rule.type].join('|');
+      setTypeDetectionDraft(prev => {
+        const existingKeys = new Set(prev.rules.map(getRuleKey));
+        return { ...prev, rules: [...prev.rules, ...importedTypeDetection.rules.filter(rule => !existingKeys.has(getRuleKey(rule)))] };
+      });
+    } else {
+      setTypeDetectionDraft(prev => pruneTypeDetectionDraft(prev, newTypesDraft));
+    }
+    if (mode === 'overwrite') {
+      setDraft(items);
+      setSelectedId(items[0]?.id ?? null);
+    } else {
+      const importedByName = new Map(items.map(item => [item.name, item]));
+      const existingNames = new Set(draft.map(item => item.name.trim()));
+      const merged = draft.map(item => {
+        const imported = importedByName.get(item.name.trim());
+        // ファイルにウォーターマーク設定がないメディアは、現在の設定を残す
+        return imported ? { ...imported, id: item.id, originalName: item.originalName, watermark: imported.watermark ?? item.watermark } : item;
+      });
+      setDraft([...merged, ...items.filter(item => !existingNames.has(item.name))]);
+    }
+    setPendingImport(null);
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // 同じファイルを再度選択できるようにする
+    if (!file) return;
+
+    try {
+      const { errors, ...imported } = parsePresetFile(await file.text(), typesDraft);
+      if (errors.length > 0) {
+        setErrors(errors);
+        return;
+      }
+      const existingNames = new Set(draft.map(item => item.name.trim()));
+      const conflicts = imported.items.filter(item => existingNames.has(item.name)).map(item => item.name);
+      if (conflicts.length > 0) {
+        setPendingImport({ ...imported, conflicts });
+      } else {
+        applyImport(imported, 'merge');
+      }
+    } catch (error) {
+      console.error("プリセットの読み込みに失敗しました:", error);
+      setErrors([`プリセットファイルの読み込みに失敗しました: ${file.name}`]);
+    }
+  };
+
+  const handleSave = () => {
+    const { settings, errors } = buildSettings();
+    if (errors.length > 0) {
+      setErrors(errors);
+      return;
+    }
+    // 名前を変更したメディア・種別を追跡できるよう、変更前後の対応を渡す
+    const getRenames = (items) => Object.fromEntries(
+      items.filter(item => item.originalName && item.originalName !== item.name.trim())
+        .map(item => [item.originalName, item.name.trim()])
+    );
+    // 保存できなかった場合は、編集内容を失わないようモーダルを開いたままにする
+    if (!onSave(settings, { media: getRenames(draft), types: getRenames(typesDraft) })) {
+      setErrors(['プリセットを保存できませんでした。ブラウザの保存容量やプライベートモードの設定を確認してください。']);
+      return;
+    }
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <header className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+            <Settings className="mr-2 text-gray-500" />
+            メディアプリセット管理
+          </h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <X size={24} />
+          </button>
+        </header>
+        <div className="flex-grow flex flex-col md:flex-row min-h-0 overflow-y-auto">
+          <div className="w-full md:w-1/3 border-b md:border-b-0 md:border-r border-gray-200 p-4 space-y-2">
+            {draft.map(item => (
+              <button
+                key={item.id}
+                onClick={() => setSelectedId(item.id)}
+                className={`w-full text-left px-4 py-2.5 rounded-xl text-sm font-medium truncate transition ${item.id === selectedId ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+              >
+                {item.name || '(名称未設定)'}
+              </button>
+            ))}
+            <button
+              onClick={handleAdd}
+              className="w-full py-2.5 px-4 border-2 border-dashed border-gray-300 text-gray-500 font-semibold rounded-xl hover:border-blue-400 hover:text-blue-600 transition text-sm flex items-center justify-center"
+            >
+              <Plus size={14} className="mr-2" />
+              メディアを追加
+            </button>
+            <div className="pt-2 mt-2 border-t border-gray-200 space-y-2">
+              <button
+                onClick={() => setSelectedId(IMAGE_TYPES_VIEW_ID)}
+                className={`w-full text-left px-4 py-2.5 rounded-xl text-sm font-medium truncate transition ${selectedId === IMAGE_TYPES_VIEW_ID ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+              >
+                画像種別
+              </button>
+              <button
+                onClick={() => setSelectedId(TYPE_DETECTION_VIEW_ID)}
+                className={`w-full text-left px-4 py-2.5 rounded-xl text-sm font-medium truncate transition ${selectedId === TYPE_DETECTION_VIEW_ID ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+              >
+                種別の自動判定
+              </button>
+            </div>
+          </div>
+
+          <div className="w-full md:w-2/3 p-6 space-y-6">
+            {pendingImport && (
+              <div className="bg-yellow-100 border-l-4 border-yellow-400 text-yellow-700 p-4 rounded-md space-y-3">
+                <p className="text-sm font-bold">
+                  インポートしたプリセットに、既存のメディアと同じ名前があります: {pendingImport.conflicts.join(', ')}
+                </p>
+                <div className="flex flex-wrap gap-2">
+                  <button onClick={() => applyImport(pendingImport, 'merge')} className="px-4 py-2 rounded-lg text-white text-sm font-semibold bg-blue-600 hover:bg-blue-700 transition-colors">
+                    マージ (同名のみ置き換え)
+                  </button>
+                  <button onClick={() => applyImport(pendingImport, 'overwrite')} className="px-4 py-2 rounded-lg text-white text-sm font-semibold bg-red-600 hover:bg-red-700 transition-colors">
+                    すべて上書き
+                  </button>
+                  <button onClick={() => setPendingImport(null)} className="px-4 py-2 rounded-lg text-gray-700 text-sm bg-gray-200 hover:bg-gray-300 transition-colors">
+                    キャンセル
+                  </button>
+                </div>
+              </div>
+            )}
+            {selectedId === IMAGE_TYPES_VIEW_ID ? (
+              <ImageTypesEditor typesDraft={typesDraft} onChange={handleTypesChange} />
+            ) : selectedId === TYPE_DETECTION_VIEW_ID ? (
+              <TypeDetectionEditor typeDetection={typeDetectionDraft} typesDraft={typesDraft} onChange={setTypeDetectionDraft} />
+            ) : selectedItem ? (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-600 mb-2">メディア名:</label>
+                  <input
+                    type="text"
+                    value={selectedItem.name}
+                    onChange={(e) => updateItem(selectedId, item => ({ ...item, name: e.target.value }))}
+                    className="w-full px-4 py-3 bg-white/80 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                  />
+                </div>
+                <div className="space-y-3">
+                  <p className="text-sm font-medium text-gray-600">種別ごとの出力サイズ (px):</p>
+                  {typesDraft.map(typeDraft => {
+                    const size = selectedItem.sizes[typeDraft.id];
+                    const type = typeDraft.name || '(名称未設定)';
+                    return (
+                      <div key={typeDraft.id} className="bg-gray-50 p-3 rounded-xl space-y-2">
+                        <div className="flex items-center space-x-3">
+                          <span className="w-20 text-sm font-semibold text-gray-700 truncate" title={type}>{type}</span>
+                          <input
+                            type="number" min="1" disabled={!size}
+                            value={size ? size.w : ''}
+                            onChange={(e) => handleSizeChange(typeDraft.id, 'w', e.target.value)}
+                            className="w-24 px-3 py-2 bg-white border border-gray-300/50 rounded-lg text-sm disabled:bg-gray-100 disabled:text-gray-400"
+                            aria-label={`${type}の幅`}
+                          />
+                          <span className="text-gray-400">×</span>
+                          <input
+                            type="number" min="1" disabled={!size}
+                            value={size ? size.h : ''}
+                            onChange={(e) => handleSizeChange(typeDraft.id, 'h', e.target.value)}
+                            className="w-24 px-3 py-2 bg-white border border-gray-300/50 rounded-lg text-sm disabled:bg-gray-100 disabled:text-gray-400"
+                            aria-label={`${type}の高さ`}
+                          />
+                          <label className="flex items-center text-sm text-yellow-700 ml-auto cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={!size}
+                              onChange={(e) => handleExcludedChange(typeDraft.id, e.target.checked)}
+                              className="mr-2 accent-yellow-600"
+                            />
+                            対象外
+                          </label>
+                        </div>
+                        {size && (
+                          <div className="flex items-center space-x-3 pl-[5.75rem] text-sm text-gray-600">
+                            <span>出力形式:</span>
+                            <select
+                              value={size.format || DEFAULT_OUTPUT_FORMAT}
+                              onChange={(e) => handleSizeOptionChange(typeDraft.id, 'format', e.target.value)}
+                              className="px-3 py-2 bg-white border border-gray-300/50 rounded-lg text-sm"
+                              aria-label={`${type}の出力形式`}
+                            >
+                              {Object.entries(OUTPUT_FORMATS).map(([value, { label }]) => (
+                                <option key={value} value={value} disabled={value === 'image/avif' && !isAvifSupported}>
+                                  {value === 'image/avif' && !isAvifSupported ? `${label} (このブラウザは非対応)` : label}
+                                </option>
+                              ))}
+                            </select>
+                            {(size.format || DEFAULT_OUTPUT_FORMAT) === 'image/jpeg' && (
+                              <label className="flex items-center space-x-2" title="透過部分を塗りつぶす色">
+                                <span>背景色:</span>
+                                <input
+                                  type="color"
+                                  value={size.background || DEFAULT_BACKGROUND_COLOR}
+                                  onChange={(e) => handleSizeOptionChange(typeDraft.id, 'background', e.target.value)}
+                                  className="w-10 h-8 p-0.5 bg-white border border-gray-300/50 rounded-lg cursor-pointer"
+                                />
+                              </label>
+                            )}
+                          </div>
+                        )}
+                        {size && (
+                          <div className="flex flex-wrap items-center gap-x-3 gap-y-2 pl-[5.75rem] text-sm text-gray-600">
+                            <span>リサイズ方法:</span>
+                            <select
+                              value={size.fit || 'cover'}
+                              onChange={(e) => handleSizeOptionChange(typeDraft.id, 'fit', e.target.value)}
+                              className="px-3 py-2 bg-white border border-gray-300/50 rounded-lg text-sm"
+                              aria-label={`${type}のリサイズ方法`}
+                            >
+                              {Object.entries(FIT_MODES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                            </select>
+                            {size.fit === 'contain' && (
+                              <>
+                                <select
+                                  value={size.padFill || 'color'}
+                                  onChange={(e) => handleSizeOptionChange(typeDraft.id, 'padFill', e.target.value)}
+                                  className="px-3 py-2 bg-white border border-gray-300/50 rounded-lg text-sm"
+                                  aria-label={`${type}の余白の塗り方`}
+                                >
+                                  {Object.entries(PAD_FILLS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                </select>
+                                {(size.padFill || 'color') === 'color' && (
+                                  <input
+                                    type="color"
+                                    value={size.padColor || DEFAULT_BACKGROUND_COLOR}
+                                    onChange={(e) => handleSizeOptionChange(typeDraft.id, 'padColor', e.target.value)}
+                                    className="w-10 h-8 p-0.5 bg-white border border-gray-300/50 rounded-lg cursor-pointer"
+                                    aria-label={`${type}の余白の色`}
+                                  />
+                                )}
+                                <label className="flex items-center space-x-2">
+                                  <span>余白率:</span>
+                                  <input
+                                    type="number" min="0" max={MAX_MARGIN_PERCENT}
+                                    value={size.marginPercent ?? 0}
+                                    onChange={(e) => handleSizeChange(typeDraft.id, 'marginPercent', e.target.value)}
+                                    className="w-16 px-2 py-2 bg-white border border-gray-300/50 rounded-lg text-sm"
+                                  />
+                                  <span>%</span>
+                                </label>
+                              </>
+                            )}
+                          </div>
+                        )}
+                        {size && (
+                          <div className="flex items-center space-x-3 pl-[5.75rem] text-sm text-gray-600">
+                            <span>ファイルサイズ上限:</span>
+                            <input
+                              type="number" min="1" placeholder="上限なし"
+                              value={size.maxFileSizeKB ?? ''}
+                              onChange={(e) => handleSizeChange(typeDraft.id, 'maxFileSizeKB', e.target.value)}
+                              className="w-24 px-3 py-2 bg-white border border-gray-300/50 rounded-lg text-sm"
+                              aria-label={`${type}のファイルサイズ上限`}
+                            />
+                            <span>KB</span>
+                          </div>
+                        )}
+                        {size && (
+                          <div className="pl-[5.75rem] text-sm text-gray-600 space-y-2">
+                            <div className="flex items-center space-x-3">
+                              <span>サイズ名:</span>
+                              <input
+                                type="text" placeholder="なし"
+                                value={size.sizeName ?? ''}
+                                onChange={(e) => handleSizeOptionChange(typeDraft.id, 'sizeName', e.target.value)}
+                                className="w-28 px-3 py-2 bg-white border border-gray-300/50 rounded-lg text-sm"
+                                aria-label={`${type}のサイズ名`}
+                              />
+                              <span className="text-xs text-gray-400">ファイル名の末尾に付けます</span>
+                            </div>
+                            {(size.variants || []).map((variant, index) => (
+                              <div key={index} className="flex items-center space-x-2">
+                                <input
+                                  type="text"
+                                  value={variant.name}
+                                  onChange={(e) => handleVariantChange(typeDraft.id, index, 'name', e.target.value)}
+                                  className="w-28 px-3 py-2 bg-white border border-gray-300/50 rounded-lg text-sm"
+                                  aria-label={`${type}のサイズ違い${index + 1}のサイズ名`}
+                                />
+                                <input
+                                  type="number" min="1"
+                                  value={variant.w}
+                                  onChange={(e) => handleVariantChange(typeDraft.id, index, 'w', e.target.value)}
+                                  className="w-20 px-3 py-2 bg-white border border-gray-300/50 rounded-lg text-sm"
+                                  aria-label={`${type}のサイズ違い${index + 1}の幅`}
+                                />
+                                <span className="text-gray-400">×</span>
+                                <input
+                                  type="number" min="1"
+                                  value={variant.h}
+                                  onChange={(e) => handleVariantChange(typeDraft.id, index, 'h', e.target.value)}
+                                  className="w-20 px-3 py-2 bg-white border border-gray-300/50 rounded-lg text-sm"
+                                  aria-label={`${type}のサイズ違い${index + 1}の高さ`}
+                                />
+                                <button onClick={() => handleVariantRemove(typeDraft.id, index)} className="p-2 text-gray-400 hover:text-red-600 transition" aria-label="サイズ違いを削除">
+                                  <Trash2 size={14} />
+                                </button>
+                              </div>
+                            ))}
+                            <button onClick={() => handleVariantAdd(typeDraft.id)} className="flex items-center text-blue-600 hover:text-blue-700 font-semibold">
+                              <Plus size={14} className="mr-1" />
+                              サイズ違いを追加
+                            </button>
+                            {size.variants?.length > 0 && (
+                              <p className="text-xs text-gray-400">サイズ違いは出力形式などの設定を引き継ぎます。縦横比が同じサイズはトリミングを共有します。</p>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+                <div className="flex space-x-2">
+                  <button onClick={handleDuplicate} className="flex-1 py-2.5 px-4 bg-gray-200 text-gray-700 font-semibold rounded-xl hover:bg-gray-300 transition text-sm flex items-center justify-center">
+                    <Copy size={14} className="mr-2" />
+                    複製
+                  </button>
+                  <button onClick={handleDelete} className="flex-1 py-2.5 px-4 bg-red-100 text-red-700 font-semibold rounded-xl hover:bg-red-200 transition text-sm flex items-center justify-center">
+                    <Trash2 size={14} className="mr-2" />
+                    削除
+                  </button>
+                </div>
+              </>
+            ) : (
+              <div className="text-sm text-gray-500 bg-gray-100 p-3 rounded-xl text-center">
+                メディアを追加してください
+              </div>
+            )}
+          </div>
+        </div>
+        <footer className="flex justify-between items-center p-4 border-t border-gray-200 bg-gray-50 rounded-b-2xl">
+          <div className="flex items-center space-x-1">
+            <button onClick={handleResetToDefault} className="px-4 py-2 rounded-lg text-gray-500 font-semibold hover:bg-gray-200/80 hover:text-gray-700 transition-colors text-sm">
+              初期設定に戻す
+            </button>
+            <button onClick={() => fileInputRef.current?.click()} className="flex items-center px-4 py-2 rounded-lg text-gray-500 font-semibold hover:bg-gray-200/80 hover:text-gray-700 transition-colors text-sm">
+              <Upload size={14} className="mr-1" />
+              インポート
+            </button>
+            <button onClick={handleExport} className="flex items-center px-4 py-2 rounded-lg text-gray-500 font-semibold hover:bg-gray-200/80 hover:text-gray-700 transition-colors text-sm">
+              <Download size={14} className="mr-1" />
+              エクスポート
+            </button>
+            <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImportFile} className="hidden" />
+          </div>
+          <div className="flex items-center space-x-2">
+            <button onClick={onClose} className="px-6 py-2 rounded-lg text-gray-700 bg-gray-200 hover:bg-gray-300 transition-colors">
+              キャンセル
+            </button>
+            <button onClick={handleSave} className="px-6 py-2 rounded-lg text-white font-semibold bg-blue-600 hover:bg-blue-700 transition-colors">
+              保存
+            </button>
+          </div>
+        </footer>
+      </div>
+    </div>
+  );
+};
+
+// メディアごとのウォーターマーク設定モーダル
+const WatermarkModal = ({ media, watermark, typeNames, onClose, onSave, setErrors }) => {
+  const [draft, setDraft] = useState(() => ({ ...DEFAULT_WATERMARK, ...watermark, types: { ...getDefaultWatermarkTypes(typeNames), ...watermark?.types } }));
+  const fileInputRef = useRef(null);
+
+  const updateDraft = (update) => setDraft(prev => ({ ...prev, ...update }));
+
+  const handleImageFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // 同じファイルを再度選択できるようにする
+    if (!file) return;
+    if (file.type !== 'image/png') {
+      setErrors([`PNG画像を選択してください: ${file.name}`]);
+      return;
+    }
+    if (file.size > MAX_WATERMARK_IMAGE_BYTES) {
+      setErrors([`ウォーターマーク画像は1MBまでです: ${file.name}`]);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => updateDraft({ imageUrl: reader.result });
+    reader.onerror = () => setErrors([`ウォーターマーク画像の読み込みに失敗しました: ${file.name}`]);
+    reader.readAsDataURL(file);
+  };
+
+  const handleSave = () => {
+    if (draft.enabled && draft.kind === 'text' && !draft.text.trim()) {
+      setErrors(['ウォーターマークの文字を入力してください。']);
+      return;
+    }
+    if (draft.enabled && draft.kind === 'image' && !draft.imageUrl) {
+      setErrors(['ウォーターマークのPNG画像を選択してください。']);
+      return;
+    }
+    // 削除された種別の設定は残さない
+    const types = Object.fromEntries(typeNames.map(type => [type, Boolean(draft.types[type])]));
+    if (!onSave(media, { ...draft, text: draft.text.trim(), types })) {
+      setErrors(['ウォーターマーク設定を保存できませんでした。画像を小さくするか、ブラウザの保存容量を確認してください。']);
+      return;
+    }
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] flex flex-col">
+        <header className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="text-xl font-semibold text-gray-800 flex items-center truncate">
+            <Stamp className="mr-2 text-gray-500 flex-shrink-0" />
+            ウォーターマーク設定 ({media})
+          </h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <X size={24} />
+          </button>
+        </header>
+        <div className="p-6 flex-grow overflow-y-auto space-y-5">
+          <label className="flex items-center text-sm font-medium text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={draft.enabled}
+              onChange={(e) => updateDraft({ enabled: e.target.checked })}
+              className="mr-2 accent-blue-600"
+            />
+            このメディアの出力にウォーターマークを合成する
+          </label>
+          <div className={`space-y-5 ${draft.enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+            <div>
+              <label className="block text-sm font-medium text-gray-600 mb-2">種類:</label>
+              <div className="flex space-x-2">
+                {[['text', 'テキスト'], ['image', 'PNG画像']].map(([kind, label]) => (
+                  <button
+                    key={kind}
+                    onClick={() => updateDraft({ kind })}
+                    className={`flex-1 py-2 rounded-lg text-sm font-semibold transition ${draft.kind === kind ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {draft.kind === 'text' ? (
+              <div className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={draft.text}
+                  onChange={(e) => updateDraft({ text: e.target.value })}
+                  placeholder="例: © 店舗名"
+                  className="flex-grow px-4 py-2 bg-white border border-gray-300/50 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                />
+                <input
+                  type="color"
+                  value={draft.color}
+                  onChange={(e) => updateDraft({ color: e.target.value })}
+                  className="w-10 h-9 p-0.5 bg-white border border-gray-300/50 rounded-lg cursor-pointer"
+                  aria-label="文字の色"
+                />
+              </div>
+            ) : (
+              <div className="flex items-center space-x-3">
+                <div className="w-20 h-20 bg-gray-100 border border-gray-200 rounded-md flex items-center justify-center overflow-hidden flex-shrink-0">
+                  {draft.imageUrl
+                    ? <img src={draft.imageUrl} alt="ウォーターマーク画像" className="object-contain w-full h-full" />
+                    : <span className="text-xs text-gray-400">未選択</span>}
+                </div>
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  className="flex items-center px-4 py-2 rounded-lg text-sm text-gray-700 bg-gray-200 hover:bg-gray-300 transition-colors"
+                >
+                  <Upload size={14} className="mr-1" />
+                  PNGを選択
+                </button>
+                <input ref={fileInputRef} type="file" accept="image/png" onChange={handleImageFile} className="hidden" />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-600 mb-2">位置:</label>
+              <div className="grid grid-cols-3 gap-1 w-36">
+                {Object.keys(WATERMARK_ANCHORS).map(anchor => (
+                  <button
+                    key={anchor}
+                    onClick={() => updateDraft({ anchor })}
+                    title={WATERMARK_ANCHOR_LABELS[anchor]}
+                    aria-label={WATERMARK_ANCHOR_LABELS[anchor]}
+                    className={`h-10 rounded-md transition ${draft.anchor === anchor ? 'bg-blue-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+                  />
+                ))}
+              </div>
+            </div>
+            <label className="flex items-center text-sm text-gray-600">
+              <span className="w-24 flex-shrink-0">不透明度:</span>
+              <input
+                type="range" min="5" max="100" step="5"
+                value={Math.round(draft.opacity * 100)}
+                onChange={(e) => updateDraft({ opacity: Number(e.target.value) / 100 })}
+                className="flex-grow accent-blue-600"
+              />
+              <span className="w-12 text-right">{Math.round(draft.opacity * 100)}%</span>
+            </label>
+            <label className="flex items-center text-sm text-gray-600">
+              <span className="w-24 flex-shrink-0">大きさ:</span>
+              <input
+                type="range" min="5" max="80" step="1"
+                value={draft.scale}
+                onChange={(e) => updateDraft({ scale: Number(e.target.value) })}
+                className="flex-grow accent-blue-600"
+              />
+              <span className="w-12 text-right">{draft.scale}%</span>
+            </label>
+            <div>
+              <label className="block text-sm font-medium text-gray-600 mb-2">合成する種別:</label>
+              <div className="flex flex-wrap gap-x-4 gap-y-2">
+                {typeNames.map(type => (
+                  <label key={type} className="flex items-center text-sm text-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(draft.types[type])}
+                      onChange={(e) => updateDraft({ types: { ...draft.types, [type]: e.target.checked } })}
+                      className="mr-2 accent-blue-600"
+                    />
+                    {type}
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+        <footer className="flex justify-end items-center p-4 border-t border-gray-200 bg-gray-50 rounded-b-2xl space-x-2">
+          <button onClick={onClose} className="px-6 py-2 rounded-lg text-gray-700 bg-gray-200 hover:bg-gray-300 transition-colors">
+            キャンセル
+          </button>
+          <button onClick={handleSave} className="px-6 py-2 rounded-lg text-white font-semibold bg-blue-600 hover:bg-blue-700 transition-colors">
+            保存
+          </button>
+        </footer>
+      </div>
+    </div>
+  );
+};
+
+// 画像を読み込む (サムネイルのプレビュー用)
+const loadPreviewImage = (url) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = reject;
+    image.src = url;
+});
+
+// サムネイルに色調補正とウォーターマークを反映して表示する (どちらもない場合は画像をそのまま表示)
+// contentRect: 色調補正を適用する範囲 (サムネイル画像の座標。余白の色を変えないよう画像の部分だけにする。省略時は全体)
+const ThumbnailPreview = ({ src, adjustments, watermark, targetSize, contentRect = null, alt }) => {
+    const canvasRef = useRef(null);
+    const isPlain = isNeutralAdjustments(adjustments) && !watermark;
+
+    useEffect(() => {
+        if (isPlain || !src) return;
+        let isCancelled = false;
+        Promise.all([loadPreviewImage(src), watermark?.kind === 'image' ? loadPreviewImage(watermark.imageUrl) : null])
+            .then(([image, watermarkImage]) => {
+                const canvas = canvasRef.current;
+                if (isCancelled || !canvas) return;
+                const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+                canvas.width = Math.max(1, Math.round(image.width * scale));
+                canvas.height = Math.max(1, Math.round(image.height * scale));
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+                const region = contentRect
+                    ? {
+                        x: Math.round(contentRect.x * scale),
+                        y: Math.round(contentRect.y * scale),
+                        width: Math.max(1, Math.round(contentRect.width * scale)),
+                        height: Math.max(1, Math.round(contentRect.height * scale)),
+                    }
+                    : { x: 0, y: 0, width: canvas.width, height: canvas.height };
+                const imageData = ctx.getImageData(region.x, region.y, region.width, region.height);
+                applyAdjustments(imageData, adjustments);
+                ctx.putImageData(imageData, region.x, region.y);
+                // サムネイル内で出力画像にあたる範囲に、出力と同じ比率でウォーターマークを描画する
+                if (watermark) drawWatermark(ctx, getCenterCropRect(canvas.width, canvas.height, targetSize), watermark, watermarkImage);
+            })
+            .catch(error => console.error("プレビューの描画に失敗しました:", error));
+        return () => { isCancelled = true; };
+    }, [src, adjustments, watermark, targetSize, contentRect, isPlain]);
+
+    // サムネイルの生成前は読み込み中を表示する (元画像をそのまま表示するとデコードでメモリを消費するため)
+    if (!src) return <Loader className="w-6 h-6 text-gray-300 animate-spin" aria-label={alt} />;
+    if (isPlain) return <img src={src} alt={alt} loading="lazy" className="object-contain w-full h-full" />;
+    return <canvas ref={canvasRef} role="img" aria-label={alt} className="object-contain w-full h-full" />;
+};
+
+// トリミングの決め方の表示ラベルと色
+const CROP_STATUS_LABELS = {
+    manual: { label: '手動', className: 'bg-blue-100 text-blue-700' },
+    auto: { label: '自動', className: 'bg-green-100 text-green-700' },
+    center: { label: '中央', className: 'bg-gray-100 text-gray-600' },
+    contain: { label: '全体', className: 'bg-purple-100 text-purple-700' },
+};
+
 // 画像カードコンポーネント
-const ImageCard = ({ image, onSelect, isSelected, media }) => {
-    const targetSize = RESIZE_DEFINITIONS[media]?.[image.type];
+const ImageCard = ({ image, onSelect, isSelected, media, resizeDefinitions, cropStrategies, watermarks, imageTypes }) => {
+    const targetSize = resizeDefinitions[media]?.[image.type];
+    const watermark = targetSize ? getActiveWatermark(watermarks, media, image.type) : null;
+    const cropStatus = targetSize ? CROP_STATUS_LABELS[resolveCrop(image, media, targetSize, cropStrategies).status] : null;
+    const extraSizeCount = targetSize?.variants?.length || 0; // 基本のサイズ以外に出力するサイズの数
 
     return (
         <div 
@@ -538,16 +2735,19 @@ const ImageCard = ({ image, onSelect, isSelected, media }) => {
             className={`bg-white/60 border rounded-xl overflow-hidden shadow-sm transition-all duration-200 cursor-pointer flex p-3 space-x-3 ${isSelected ? 'border-blue-500 ring-2 ring-blue-500/30' : 'border-gray-200/80 hover:shadow-md hover:border-gray-300'}`}
         >
             <div className="w-24 h-24 bg-white border border-gray-200 rounded-md flex-shrink-0 flex items-center justify-center overflow-hidden">
-                <img src={image.thumbnailUrl} alt={image.file.name} className="object-contain w-full h-full" />
+                <ThumbnailPreview src={image.thumbnailUrl} adjustments={image.adjustments} watermark={watermark} targetSize={targetSize} contentRect={image.thumbnailContentRect} alt={image.file.name} />
             </div>
             <div className="flex-grow flex flex-col justify-center min-w-0">
-                <p className="font-bold text-sm text-gray-800 truncate" title={image.file.name}>{image.file.name}</p>
+                <p className="font-bold text-sm text-gray-800 truncate" title={image.relativePath || image.file.name}>{image.file.name}</p>
+                {getSourceFolder(image) && <p className="text-xs text-gray-400 truncate">{getSourceFolder(image)}/</p>}
                 <div className="text-xs text-gray-500 mt-1">
-                    種別: <span className="font-medium text-gray-700">{image.type}</span>
+                    種別: <span className={`px-1.5 py-0.5 rounded font-semibold ${getTypeBadgeClassName(imageTypes, image.type)}`}>{image.type}</span>
                 </div>
                 {targetSize ? (
                     <div className="text-xs text-gray-500 mt-1">
                         出力: <span className="font-medium text-gray-700">{`${targetSize.w} x ${targetSize.h} px`}</span>
+                        {extraSizeCount > 0 && <span className="ml-1 text-gray-500" title={getSizeVariants(targetSize).map(variant => `${variant.w} x ${variant.h} px`).join('\n')}>{`+${extraSizeCount}`}</span>}
+                        <span className={`ml-2 px-1.5 py-0.5 rounded font-semibold ${cropStatus.className}`}>{cropStatus.label}</span>
                     </div>
                 ) : (
                     <div className="text-xs text-yellow-600 mt-1">
@@ -560,65 +2760,242 @@ const ImageCard = ({ image, onSelect, isSelected, media }) => {
 };
 
 // 画像一覧・編集画面
-const EditScreen = ({ images, setImages, onProcess, onBack, setErrors, setIsLoadingThumbnails, isLoadingThumbnails }) => {
-    const [media, setMedia] = useState('EPARK');
-    const [quality, setQuality] = useState(9.0);
+const EditScreen = ({ images, setImages, onProcess, onBack, setErrors, setIsLoadingThumbnails, isLoadingThumbnails, resizeDefinitions, typeDetection, imageTypes, onSavePresets, watermarks, onSaveWatermark, reeditImageIds = null, initialSettings = null, onSettingsChange }) => {
+    // 設定の初期値は、保存されたセッションや前回の編集内容があればそれを引き継ぎます。
+    const initial = initialSettings || {};
+    const [media, setMedia] = useState(() => (resizeDefinitions[initial.media] ? initial.media : Object.keys(resizeDefinitions)[0]));
+    const [quality, setQuality] = useState(initial.quality ?? 9.0);
     const [croppingImageId, setCroppingImageId] = useState(null);
+    const [croppingVariantIndex, setCroppingVariantIndex] = useState(0); // トリミングを調整する出力サイズ (getSizeVariantsでの位置)
     // 単一選択から複数選択に対応するため、IDを配列で管理します。
     const [selectedImageIds, setSelectedImageIds] = useState([]);
+    const [isPresetManagerOpen, setIsPresetManagerOpen] = useState(false);
+    const [isWatermarkModalOpen, setIsWatermarkModalOpen] = useState(false);
+    // 複数メディア出力モード (チェックしたメディアすべてを1つのZIPに出力)
+    const [isMultiMedia, setIsMultiMedia] = useState(initial.isMultiMedia ?? false);
+    const [outputMediaList, setOutputMediaList] = useState(() => (initial.outputMediaList || []).filter(m => resizeDefinitions[m]));
+    // 画像種別ごとの自動トリミング方式
+    const [cropStrategies, setCropStrategies] = useState(() => ({ ...DEFAULT_CROP_STRATEGIES, ...initial.cropStrategies }));
+    const [resampling, setResampling] = useState(initial.resampling ?? 'lanczos3');
+    const [sharpen, setSharpen] = useState(initial.sharpen ?? 0);
+    const [keepMetadata, setKeepMetadata] = useState(initial.keepMetadata ?? false); // 著作権者・撮影者情報を出力に残すか
+    const [isAnalyzingLevels, setIsAnalyzingLevels] = useState(false);
+    const [nameTemplate, setNameTemplate] = useState(initial.nameTemplate ?? DEFAULT_NAME_TEMPLATE);
+    const [folderStructure, setFolderStructure] = useState(initial.folderStructure ?? 'auto');
+    const [mirrorSourceFolders, setMirrorSourceFolders] = useState(initial.mirrorSourceFolders ?? false); // アップロードしたフォルダの構成をZIPに再現するか
+    const [archiveName, setArchiveName] = useState(initial.archiveName ?? DEFAULT_ARCHIVE_NAME);
+    const [manifestFormat, setManifestFormat] = useState(initial.manifestFormat ?? 'both');
+    // 実行中の自動トリミング用の解析 (`画像ID|方式` → Promise)。画像一覧の変更で処理をやり直す際に、同じ解析を重複して行わないようにします。
+    const cropAnalysisRef = useRef(new Map());
+
+    // 設定が変わるたびに親へ通知します。(セッションの保存と、画面を戻った際の復元に使用)
+    useEffect(() => {
+        onSettingsChange?.({
+            media, quality, isMultiMedia, outputMediaList, cropStrategies, resampling, sharpen,
+            keepMetadata, nameTemplate, folderStructure, mirrorSourceFolders, archiveName, manifestFormat,
+        });
+    }, [onSettingsChange, media, quality, isMultiMedia, outputMediaList, cropStrategies, resampling, sharpen, keepMetadata, nameTemplate, folderStructure, mirrorSourceFolders, archiveName, manifestFormat]);
 
     useEffect(() => {
         // メディアを変更した際に選択を解除します。
         setSelectedImageIds([]);
+        // 処理中に画像一覧が変わった場合は結果を捨て、新しい一覧で処理し直します。(解析はcropAnalysisRefで引き継ぐ)
+        let isCancelled = false;
+        const analyzeImage = (image, strategy, analyze) => {
+          const key = `${image.id}|${strategy}`;
+          if (!cropAnalysisRef.current.has(key)) cropAnalysisRef.current.set(key, analyze(image.originalUrl));
+          return cropAnalysisRef.current.get(key);
+        };
         const processThumbnails = async () => {
           setIsLoadingThumbnails(true);
-          const imagesToUpdate = images.filter(img => !img.isProcessed || img.processedMedia !== media);
+          const imagesToUpdate = images.filter(img => !img.isProcessed || img.processedMedia !== media || needsCropAnalysis(img, getCropStrategy(cropStrategies, img.type)));
           if (imagesToUpdate.length === 0) {
               setIsLoadingThumbnails(false);
               return;
           }
 
-          const updatedImages = await Promise.all(images.map(async (image) => {
-            if (!imagesToUpdate.some(u => u.id === image.id)) return image;
-            const targetSize = RESIZE_DEFINITIONS[media]?.[image.type];
-            //  cropDataをリセットし、自動トリミングが再計算されるようにします。
-            const imageReset = { ...image, cropData: null, isProcessed: false };
+          let isDetectionFailed = false;
+          const updatedImages = await mapWithConcurrency(imagesToUpdate, DECODE_CONCURRENCY, async (originalImage) => {
+            if (isCancelled) return null;
+            let image = originalImage;
+
+            // 自動トリミング用の解析は画像ごとに1回だけ行い、結果をメディアや比率の切り替えで使い回します。(失敗時はnull)
+            const strategy = getCropStrategy(cropStrategies, image.type);
+            if (needsCropAnalysis(image, strategy) && strategy === 'pose') {
+              try {
+                image = { ...image, personDetection: await analyzeImage(image, strategy, detectPeople) };
+              } catch (error) {
+                console.error("人物検出失敗:", image.file.name, error);
+                isDetectionFailed = true;
+                image = { ...image, personDetection: null };
+              }
+            }
+            if (needsCropAnalysis(image, strategy) && strategy === 'saliency') {
+              try {
+                image = { ...image, saliencyMap: await analyzeImage(image, strategy, computeSaliencyMap) };
+              } catch (error) {
+                console.error("顕著性マップ作成失敗:", image.file.name, error);
+                image = { ...image, saliencyMap: null };
+              }
+            }
 
-            if (!targetSize) return { ...imageReset, isProcessed: true, processedMedia: media, thumbnailUrl: imageReset.originalUrl };
+            const targetSize = resizeDefinitions[media]?.[image.type];
+            if (!targetSize) {
+              try {
+                const newThumbnailUrl = await createPlainThumbnail(image.originalUrl);
+                return { ...image, thumbnailUrl: newThumbnailUrl, thumbnailContentRect: null, isProcessed: true, processedMedia: media };
+              } catch (error) {
+                console.error("サムネイル生成失敗:", image.file.name, error);
+                return { ...image, isProcessed: true, processedMedia: media };
+              }
+            }
 
+            // トリミングはメディアごとに保持し、未調整のメディアでは自動トリミングでプレビューします。
+            const { cropData, status } = resolveCrop(image, media, targetSize, cropStrategies);
             try {
-              const newThumbnailUrl = await createFinalThumbnail(imageReset.originalUrl, targetSize);
-              return { ...imageReset, thumbnailUrl: newThumbnailUrl, isProcessed: true, processedMedia: media };
+              const thumbnail = status === 'manual'
+                ? { url: await generateCroppedPreview(image.originalUrl, cropData), contentRect: null }
+                : await createFinalThumbnail(image.originalUrl, targetSize, cropData);
+              return { ...image, thumbnailUrl: thumbnail.url, thumbnailContentRect: thumbnail.contentRect, isProcessed: true, processedMedia: media };
             } catch (error) {
-              console.error("サムネイル生成失敗:", imageReset.file.name, error);
-              return { ...imageReset, isProcessed: true, processedMedia: media };
+              console.error("サムネイル生成失敗:", image.file.name, error);
+              return { ...image, isProcessed: true, processedMedia: media };
             }
+          });
+          if (isCancelled) return;
+          if (isDetectionFailed) {
+            setErrors(['人物検出に失敗した画像があるため、中央でトリミングしています。']);
+          }
+          // 解析結果とサムネイルだけを反映し、処理中に行われた他の変更を上書きしないようにします。
+          const updatedById = new Map(updatedImages.map(image => [image.id, image]));
+          updatedById.forEach((_, id) => ['pose', 'saliency'].forEach(strategy => cropAnalysisRef.current.delete(`${id}|${strategy}`)));
+          setImages(prev => prev.map(img => {
+            const updated = updatedById.get(img.id);
+            if (!updated) return img;
+            return { ...img, ...Object.fromEntries(THUMBNAIL_RESULT_FIELDS.filter(field => field in updated).map(field => [field, updated[field]])) };
           }));
-          setImages(updatedImages);
           setIsLoadingThumbnails(false);
         };
         processThumbnails();
-      }, [media, images, setImages, setIsLoadingThumbnails]);
+        return () => { isCancelled = true; };
+      }, [media, images, setImages, setIsLoadingThumbnails, resizeDefinitions, cropStrategies, setErrors]);
 
 
     // 選択された画像の種別を一括で変更する関数
     const handleBulkTypeChange = (type) => {
         setImages(prev => prev.map(img =>
             selectedImageIds.includes(img.id)
-                ? { ...img, type, cropData: null, isProcessed: false } // 種別変更時にcropDataと処理状態をリセット
+                ? { ...img, type, isProcessed: false } // 種別変更時にプレビューを再生成 (トリミングは種別ごとに保持)
+                : img
+        ));
+    };
+
+    // 縦横比が異なるサイズ違いがある場合は、調整する出力サイズを指定します。(同じ比率のサイズはトリミングを共有します)
+    const handleCropAdjust = (id, variantIndex = 0) => {
+        setCroppingVariantIndex(variantIndex);
+        setCroppingImageId(id);
+    };
+
+    // トリミングを調整する出力サイズ (画像を切り替えて該当するサイズがない場合は基本のサイズ)
+    const getCroppingTargetSize = (image) => {
+        const variants = getSizeVariants(resizeDefinitions[media]?.[image.type]);
+        return variants[croppingVariantIndex] || variants[0] || null;
+    };
+
+    // 色調補正は選択中のすべての画像に同じ値を設定します。
+    const updateSelectedAdjustments = (update) => {
+        setImages(prev => prev.map(img =>
+            selectedImageIds.includes(img.id)
+                ? { ...img, adjustments: { ...DEFAULT_ADJUSTMENTS, ...img.adjustments, ...update(img) } }
                 : img
         ));
     };
 
-    const handleCropAdjust = (id) => setCroppingImageId(id);
+    const handleAdjustmentChange = (key, value) => updateSelectedAdjustments(() => ({ [key]: value }));
+
+    const handleAdjustmentsReset = () => updateSelectedAdjustments(() => DEFAULT_ADJUSTMENTS);
+
+    // 自動レベル補正 (黒点・白点は画像ごとに解析します)
+    const handleAutoLevels = async () => {
+        setIsAnalyzingLevels(true);
+        const levelsById = {};
+        const failedNames = [];
+        await mapWithConcurrency(images.filter(img => selectedImageIds.includes(img.id)), DECODE_CONCURRENCY, async (img) => {
+            try {
+                levelsById[img.id] = await analyzeAutoLevels(img.originalUrl);
+            } catch (error) {
+                console.error("自動レベル補正失敗:", img.file.name, error);
+                failedNames.push(img.file.name);
+            }
+        });
+        updateSelectedAdjustments(img => (img.id in levelsById ? { levels: levelsById[img.id] } : {}));
+        if (failedNames.length > 0) {
+            setErrors([`自動レベル補正に失敗しました: ${failedNames.join(', ')}`]);
+        }
+        setIsAnalyzingLevels(false);
+    };
+
+    // 自動トリミング方式の変更時は、該当する種別のプレビューを再生成します。
+    const handleCropStrategyChange = (type, strategy) => {
+        setCropStrategies(prev => ({ ...prev, [type]: strategy }));
+        setImages(prev => prev.map(img => img.type === type ? { ...img, isProcessed: false } : img));
+    };
+
+    // プリセット保存時の処理 (選択中メディアの追従とサムネイルの再生成)
+    // renames: { media: メディア名の変更前後, types: 種別名の変更前後 }
+    const handlePresetsSave = (newSettings, renames) => {
+        const { presets: newPresets, imageTypes: newImageTypes, typeDetection: newTypeDetection } = newSettings;
+        const renamedMedia = renames.media[media] ?? media;
+        const nextMedia = newPresets[renamedMedia] ? renamedMedia : Object.keys(newPresets)[0];
+        const isDefinitionChanged = JSON.stringify(resizeDefinitions[media]) !== JSON.stringify(newPresets[nextMedia]);
+        const newTypeNames = newImageTypes.map(imageType => imageType.name);
+        const renameType = (type) => renames.types[type] ?? type;
+        // トリミングは「種別@縦横比」の形式で保存しているため、種別名の変更に合わせて付け替えます。
+        const migrateMediaCrops = (mediaCrops) => Object.fromEntries(Object.entries(mediaCrops).map(([key, cropData]) => {
+            const separatorIndex = key.lastIndexOf('@');
+            return [`${renameType(key.slice(0, separatorIndex))}${key.slice(separatorIndex)}`, cropData];
+        }));
+        // 名前の変更に追従し、削除されたメディアのトリミングは破棄します。
+        const migrateCrops = (crops) => {
+            const migrated = {};
+            Object.entries(crops).forEach(([name, mediaCrops]) => {
+                const newName = renames.media[name] ?? name;
+                if (newPresets[newName]) migrated[newName] = migrateMediaCrops(mediaCrops);
+            });
+            return migrated;
+        };
+        if (!onSavePresets(newSettings, renames)) return false;
+        setMedia(nextMedia);
+        setOutputMediaList(prev => prev.map(name => renames.media[name] ?? name).filter(name => newPresets[name]));
+        setCropStrategies(prev => Object.fromEntries(Object.entries(prev).map(([type, strategy]) => [renameType(type), strategy])));
+        setImages(prev => prev.map(img => {
+            // 削除された種別の画像は、自動判定の既定の種別に変更します。
+            const renamedType = renameType(img.type);
+            const type = newTypeNames.includes(renamedType) ? renamedType : newTypeDetection.defaultType;
+            return {
+                ...img,
+                type,
+                crops: migrateCrops(img.crops),
+                isProcessed: isDefinitionChanged || type !== renamedType ? false : img.isProcessed,
+            };
+        }));
+        return true;
+    };
 
     const handleCropSave = async (id, cropData) => {
         const imageToUpdate = images.find(img => img.id === id);
-        if (!imageToUpdate) return;
+        const targetSize = imageToUpdate && getCroppingTargetSize(imageToUpdate);
+        if (!targetSize) return;
         try {
-            const newThumbnailUrl = await generateCroppedPreview(imageToUpdate.originalUrl, cropData);
+            // 一覧のサムネイルは基本のサイズのトリミングを表示するため、同じ縦横比の場合だけ作り直します。
+            const isPrimaryAspect = getAspectKey(targetSize) === getAspectKey(resizeDefinitions[media][imageToUpdate.type]);
+            const newThumbnailUrl = isPrimaryAspect ? await generateCroppedPreview(imageToUpdate.originalUrl, cropData) : null;
             setImages(prevImages =>
-                prevImages.map(img => img.id === id ? { ...img, cropData: cropData, thumbnailUrl: newThumbnailUrl } : img)
+                prevImages.map(img => img.id === id ? {
+                    ...img,
+                    crops: setStoredCrop(img, media, targetSize, cropData),
+                    ...(newThumbnailUrl && { thumbnailUrl: newThumbnailUrl, thumbnailContentRect: null }),
+                } : img)
             );
         } catch (error) {
             console.error("プレビュー生成失敗:", error);
@@ -626,13 +3003,41 @@ const EditScreen = ({ images, setImages, onProcess, onBack, setErrors, setIsLoad
         }
     };
 
+    const getOutputMediaList = () => (isMultiMedia ? Object.keys(resizeDefinitions).filter(m => outputMediaList.includes(m)) : [media]);
+
+    // 出力されるファイル名の例 (拡張子はプリセットの出力形式から決める)
+    const getOutputNamePreview = () => {
+        const mediaList = getOutputMediaList();
+        const tasks = buildOutputTasks(images, mediaList, resizeDefinitions);
+        const baseNames = buildOutputBaseNames(tasks, nameTemplate || DEFAULT_NAME_TEMPLATE, new Date());
+        const dedupe = createPathDeduplicator();
+        const paths = tasks.map((task, index) =>
+            dedupe(getOutputFolder(task, folderStructure, mediaList.length > 1, mirrorSourceFolders), baseNames[index], OUTPUT_FORMATS[task.targetSize.format || DEFAULT_OUTPUT_FORMAT].extension)
+        );
+        return { paths: paths.slice(0, NAME_PREVIEW_COUNT), restCount: Math.max(0, paths.length - NAME_PREVIEW_COUNT) };
+    };
+
     const handleProcessClick = () => {
-        const imagesToProcess = images.filter(img => RESIZE_DEFINITIONS[media]?.[img.type]);
+        const mediaList = getOutputMediaList();
+        if (mediaList.length === 0) {
+            setErrors(['出力するメディアを1つ以上選択してください。']);
+            return;
+        }
+        const imagesToProcess = images.filter(img => mediaList.some(m => resizeDefinitions[m]?.[img.type]));
         if (imagesToProcess.length === 0) {
             setErrors(['処理対象の画像がありません。メディアや種別を確認してください。']);
             return;
         }
-        onProcess(imagesToProcess, media, quality / 10.0);
+        onProcess(imagesToProcess, mediaList, { quality: quality / 10.0, cropStrategies, resampling, sharpen, keepMetadata, nameTemplate: nameTemplate || DEFAULT_NAME_TEMPLATE, folderStructure, mirrorSourceFolders, archiveName, manifestFormat });
+    };
+
+    const handleMultiMediaToggle = (enabled) => {
+        setIsMultiMedia(enabled);
+        if (enabled && outputMediaList.length === 0) setOutputMediaList([media]);
+    };
+
+    const handleOutputMediaToggle = (name) => {
+        setOutputMediaList(prev => prev.includes(name) ? prev.filter(m => m !== name) : [...prev, name]);
     };
 
     // 画像クリック時の選択ロジック (Shiftキーでの範囲選択、Ctrl/Cmdキーでの個別選択)
@@ -645,11 +3050,11 @@ const EditScreen = ({ images, setImages, onProcess, onBack, setErrors, setIsLoad
         const lastSelectedId = selectedImageIds.length > 0 ? selectedImageIds[selectedImageIds.length - 1] : null;
 
         if (shiftKey && lastSelectedId) {
-            const lastIndex = images.findIndex(img => img.id === lastSelectedId);
-            const clickedIndex = images.findIndex(img => img.id === clickedId);
+            const lastIndex = visibleImages.findIndex(img => img.id === lastSelectedId);
+            const clickedIndex = visibleImages.findIndex(img => img.id === clickedId);
             const start = Math.min(lastIndex, clickedIndex);
             const end = Math.max(lastIndex, clickedIndex);
-            const rangeIds = images.slice(start, end + 1).map(img => img.id);
+            const rangeIds = visibleImages.slice(start, end + 1).map(img => img.id);
             
             // 既存の選択範囲と結合し、重複を削除
             const newSelection = [...new Set([...selectedImageIds, ...rangeIds])];
@@ -674,20 +3079,34 @@ const EditScreen = ({ images, setImages, onProcess, onBack, setErrors, setIsLoad
     const noSelection = selectedCount === 0;
 
     const singleSelectedImage = isSingleSelection ? images.find(img => img.id === selectedImageIds[0]) : null;
-    if(singleSelectedImage) singleSelectedImage.targetSize = RESIZE_DEFINITIONS[media]?.[singleSelectedImage.type];
+    // 色調補正のスライダーには、最初に選択した画像の値を表示します。
+    const selectedAdjustments = { ...DEFAULT_ADJUSTMENTS, ...images.find(img => img.id === selectedImageIds[0])?.adjustments };
+    if(singleSelectedImage) singleSelectedImage.targetSize = resizeDefinitions[media]?.[singleSelectedImage.type];
+    const singleSelectedCropVariants = singleSelectedImage ? getCropVariants(singleSelectedImage.targetSize) : [];
     
+    // 確認画面から再編集に戻った場合は、対象の画像だけを一覧に表示します。
+    const visibleImages = reeditImageIds ? images.filter(img => reeditImageIds.includes(img.id)) : images;
+    const typeNames = imageTypes.map(imageType => imageType.name);
     const croppingImage = images.find(img => img.id === croppingImageId);
-    if(croppingImage) croppingImage.targetSize = RESIZE_DEFINITIONS[media]?.[croppingImage.type];
+    const outputNamePreview = getOutputNamePreview();
+    const hasSourceFolders = images.some(img => getSourceFolder(img)); // フォルダをアップロードした画像があるか
+    if(croppingImage) {
+        croppingImage.targetSize = getCroppingTargetSize(croppingImage);
+        // 手動で調整済みのトリミング、なければ自動トリミングの範囲を初期表示にします。
+        croppingImage.cropData = croppingImage.targetSize
+            ? resolveCrop(croppingImage, media, croppingImage.targetSize, cropStrategies).cropData
+            : null;
+    }
 
-    const currentIndex = croppingImageId ? images.findIndex(img => img.id === croppingImageId) : -1;
+    const currentIndex = croppingImageId ? visibleImages.findIndex(img => img.id === croppingImageId) : -1;
     const canNavigatePrev = currentIndex > 0;
-    const canNavigateNext = currentIndex > -1 && currentIndex < images.length - 1;
+    const canNavigateNext = currentIndex > -1 && currentIndex < visibleImages.length - 1;
 
     const handleNavigate = (direction) => {
         if (currentIndex === -1) return;
         const newIndex = currentIndex + direction;
-        if (newIndex >= 0 && newIndex < images.length) {
-            setCroppingImageId(images[newIndex].id);
+        if (newIndex >= 0 && newIndex < visibleImages.length) {
+            setCroppingImageId(visibleImages[newIndex].id);
         }
     };
     
@@ -699,13 +3118,22 @@ const EditScreen = ({ images, setImages, onProcess, onBack, setErrors, setIsLoad
                     <p className="text-xs text-gray-500 mb-4 pb-4 border-b border-gray-200">
                         Shiftキーで範囲選択、Ctrl(Cmd)キーで複数選択ができます。
                     </p>
+                    {reeditImageIds && (
+                        <div className="mb-4 text-sm text-blue-800 bg-blue-100 p-3 rounded-xl">
+                            再編集中の画像 ({visibleImages.length}件) だけを表示しています。もう一度処理すると、これらの画像と、出力設定やウォーターマークを変更した場合はその影響を受けるファイルを作り直します。
+                        </div>
+                    )}
                     <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
-                        {images.map(image => (
+                        {visibleImages.map(image => (
                             <ImageCard
                                 key={image.id} image={image} 
                                 onSelect={(id, e) => handleSelectImage(id, e)}
                                 isSelected={selectedImageIds.includes(image.id)} 
                                 media={media}
+                                resizeDefinitions={resizeDefinitions}
+                                cropStrategies={cropStrategies}
+                                watermarks={watermarks}
+                                imageTypes={imageTypes}
                             />
                         ))}
                     </div>
@@ -716,10 +3144,53 @@ const EditScreen = ({ images, setImages, onProcess, onBack, setErrors, setIsLoad
                         <div className="space-y-4">
                             <h3 className="text-lg font-semibold text-gray-700 border-b pb-2">全体設定</h3>
                             <div>
-                                <label className="block text-sm font-medium text-gray-600 mb-2">メディア選択:</label>
+                                <label className="block text-sm font-medium text-gray-600 mb-2">{isMultiMedia ? 'プレビュー・トリミング対象のメディア:' : 'メディア選択:'}</label>
                                 <select value={media} onChange={(e) => setMedia(e.target.value)} className="w-full px-4 py-3 bg-white/80 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition">
-                                    {Object.keys(RESIZE_DEFINITIONS).map(m => <option key={m} value={m}>{m}</option>)}
+                                    {Object.keys(resizeDefinitions).map(m => <option key={m} value={m}>{m}</option>)}
                                 </select>
+                                <button
+                                    onClick={() => setIsPresetManagerOpen(true)}
+                                    className="mt-2 w-full py-2.5 px-4 bg-gray-200 text-gray-700 font-semibold rounded-xl hover:bg-gray-300 transition text-sm flex items-center justify-center"
+                                >
+                                    <Settings size={14} className="mr-2" />
+                                    プリセット管理
+                                </button>
+                                <button
+                                    onClick={() => setIsWatermarkModalOpen(true)}
+                                    className="mt-2 w-full py-2.5 px-4 bg-gray-200 text-gray-700 font-semibold rounded-xl hover:bg-gray-300 transition text-sm flex items-center justify-center"
+                                >
+                                    <Stamp size={14} className="mr-2" />
+                                    ウォーターマーク設定{watermarks[media]?.enabled ? ' (有効)' : ''}
+                                </button>
+                            </div>
+                            <div>
+                                <label className="flex items-center text-sm font-medium text-gray-600 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={isMultiMedia}
+                                        onChange={(e) => handleMultiMediaToggle(e.target.checked)}
+                                        className="mr-2 accent-blue-600"
+                                    />
+                                    複数のメディアにまとめて出力
+                                </label>
+                                {isMultiMedia && (
+                                    <div className="mt-3 space-y-2 bg-gray-100 p-3 rounded-xl">
+                                        {Object.keys(resizeDefinitions).map(m => (
+                                            <label key={m} className="flex items-center text-sm text-gray-700 cursor-pointer">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={outputMediaList.includes(m)}
+                                                    onChange={() => handleOutputMediaToggle(m)}
+                                                    className="mr-2 accent-blue-600"
+                                                />
+                                                {m}
+                                            </label>
+                                        ))}
+                                        <p className="text-xs text-gray-500 pt-1">
+                                            メディアごとのフォルダに分けてZIPに保存します。トリミングはメディアごとに調整できます。
+                                        </p>
+                                    </div>
+                                )}
                             </div>
                             <div>
                                 <label className="block text-sm font-medium text-gray-600 mb-2">画質: <span className="ml-3 font-mono text-sm bg-gray-100 px-2 py-1 rounded-md">{quality.toFixed(1)}</span></label>
@@ -729,6 +3200,130 @@ const EditScreen = ({ images, setImages, onProcess, onBack, setErrors, setIsLoad
                                     className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
                                 />
                             </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-600 mb-2">リサイズ方式:</label>
+                                <select value={resampling} onChange={(e) => setResampling(e.target.value)} className="w-full px-4 py-3 bg-white/80 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition">
+                                    {Object.entries(RESAMPLING_OPTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-600 mb-2">シャープ処理:</label>
+                                <div className="flex space-x-2">
+                                    {SHARPEN_LEVELS.map(level => (
+                                        <button
+                                            key={level.value}
+                                            onClick={() => setSharpen(level.value)}
+                                            className={`flex-1 py-2 rounded-lg text-sm font-semibold transition ${sharpen === level.value ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                                        >
+                                            {level.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                            <div>
+                                <label className="flex items-center text-sm font-medium text-gray-600 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={keepMetadata}
+                                        onChange={(e) => setKeepMetadata(e.target.checked)}
+                                        className="mr-2 accent-blue-600"
+                                    />
+                                    著作権者・撮影者情報を残す (JPEGのみ)
+                                </label>
+                                <p className="mt-1 text-xs text-gray-500">位置情報などその他のメタデータは出力時にすべて削除されます。</p>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-600 mb-2">自動トリミング:</label>
+                                <div className="space-y-2">
+                                    {typeNames.map(type => (
+                                        <div key={type} className="flex items-center space-x-3">
+                                            <span className="w-16 text-sm text-gray-700 truncate" title={type}>{type}</span>
+                                            <select
+                                                value={getCropStrategy(cropStrategies, type)}
+                                                onChange={(e) => handleCropStrategyChange(type, e.target.value)}
+                                                className="flex-grow px-3 py-2 bg-white/80 border border-gray-300/50 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                                            >
+                                                {Object.entries(CROP_STRATEGIES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                            </select>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-600 mb-2">ファイル名:</label>
+                                <input
+                                    type="text"
+                                    value={nameTemplate}
+                                    onChange={(e) => setNameTemplate(e.target.value)}
+                                    placeholder={DEFAULT_NAME_TEMPLATE}
+                                    className="w-full px-4 py-2.5 bg-white/80 border border-gray-300/50 rounded-xl text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                                />
+                                <div className="mt-2 flex flex-wrap gap-1">
+                                    {Object.entries(NAME_TEMPLATE_TOKENS).map(([token, label]) => (
+                                        <button
+                                            key={token}
+                                            onClick={() => setNameTemplate(prev => `${prev}${token}`)}
+                                            title={token}
+                                            className="px-2 py-1 rounded-md bg-gray-200 text-xs text-gray-700 hover:bg-gray-300 transition"
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                </div>
+                                {outputNamePreview.paths.length > 0 && (
+                                    <div className="mt-2 bg-gray-100 p-3 rounded-xl text-xs text-gray-600 space-y-1">
+                                        {outputNamePreview.paths.map(path => <p key={path} className="font-mono truncate" title={path}>{path}</p>)}
+                                        {outputNamePreview.restCount > 0 && <p>他{outputNamePreview.restCount}件</p>}
+                                    </div>
+                                )}
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-600 mb-2">ZIPの構成:</label>
+                                <div className="space-y-2">
+                                    <div className="flex items-center space-x-3">
+                                        <span className="w-16 text-sm text-gray-700 flex-shrink-0">フォルダ</span>
+                                        <select
+                                            value={folderStructure}
+                                            onChange={(e) => setFolderStructure(e.target.value)}
+                                            className="flex-grow min-w-0 px-3 py-2 bg-white/80 border border-gray-300/50 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                                        >
+                                            {Object.entries(FOLDER_STRUCTURES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                        </select>
+                                    </div>
+                                    {hasSourceFolders && (
+                                        <label className="flex items-center text-sm text-gray-700 cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={mirrorSourceFolders}
+                                                onChange={(e) => setMirrorSourceFolders(e.target.checked)}
+                                                className="mr-2 accent-blue-600"
+                                            />
+                                            アップロードしたフォルダの構成を再現する
+                                        </label>
+                                    )}
+                                    <div className="flex items-center space-x-3">
+                                        <span className="w-16 text-sm text-gray-700 flex-shrink-0">ZIP名</span>
+                                        <input
+                                            type="text"
+                                            value={archiveName}
+                                            onChange={(e) => setArchiveName(e.target.value)}
+                                            placeholder={DEFAULT_ARCHIVE_NAME}
+                                            title="{date}: 日付, {time}: 時刻"
+                                            className="flex-grow min-w-0 px-3 py-2 bg-white/80 border border-gray-300/50 rounded-lg text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                                        />
+                                    </div>
+                                    <div className="flex items-center space-x-3">
+                                        <span className="w-16 text-sm text-gray-700 flex-shrink-0">一覧</span>
+                                        <select
+                                            value={manifestFormat}
+                                            onChange={(e) => setManifestFormat(e.target.value)}
+                                            className="flex-grow min-w-0 px-3 py-2 bg-white/80 border border-gray-300/50 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                                        >
+                                            {Object.entries(MANIFEST_FORMATS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                        </select>
+                                    </div>
+                                </div>
+                            </div>
                         </div>
 
                         {/* 選択状態に応じて表示を切り替え */}
@@ -754,11 +3349,48 @@ const EditScreen = ({ images, setImages, onProcess, onBack, setErrors, setIsLoad
                                         className="w-full px-4 py-3 bg-white/80 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
                                     >
                                         {isMultiSelection && <option value="" disabled>一括で変更する種別を選択</option>}
-                                        {IMAGE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                                        {typeNames.map(type => <option key={type} value={type}>{type}</option>)}
                                     </select>
                                 </div>
                             )}
 
+                            {(isSingleSelection || isMultiSelection) && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-600 mb-2">
+                                        {isMultiSelection ? '色調補正 (一括):' : '色調補正:'}
+                                    </label>
+                                    <div className="space-y-2 bg-gray-100 p-3 rounded-xl">
+                                        {ADJUSTMENT_SLIDERS.map(({ key, label }) => (
+                                            <label key={key} className="flex items-center text-sm text-gray-700">
+                                                <span className="w-20 flex-shrink-0">{label}</span>
+                                                <input
+                                                    type="range" min="-100" max="100" step="1"
+                                                    value={selectedAdjustments[key]}
+                                                    onChange={(e) => handleAdjustmentChange(key, Number(e.target.value))}
+                                                    className="flex-grow accent-blue-600"
+                                                />
+                                                <span className="w-10 text-right">{selectedAdjustments[key]}</span>
+                                            </label>
+                                        ))}
+                                        <div className="flex space-x-2 pt-1">
+                                            <button
+                                                onClick={handleAutoLevels}
+                                                disabled={isAnalyzingLevels}
+                                                className={`flex-1 py-2 rounded-lg text-sm font-semibold transition disabled:opacity-50 ${selectedAdjustments.levels ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                                            >
+                                                {isAnalyzingLevels ? '解析中...' : '自動レベル補正'}
+                                            </button>
+                                            <button
+                                                onClick={handleAdjustmentsReset}
+                                                className="flex-1 py-2 rounded-lg text-sm font-semibold bg-gray-200 text-gray-700 hover:bg-gray-300 transition"
+                                            >
+                                                リセット
+                                            </button>
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+
                             {isSingleSelection && singleSelectedImage && (
                                 <>
                                     <p className="text-sm text-gray-800 bg-gray-100 p-3 rounded-xl truncate" title={singleSelectedImage.file.name}>
@@ -766,16 +3398,32 @@ const EditScreen = ({ images, setImages, onProcess, onBack, setErrors, setIsLoad
                                     </p>
                                     {singleSelectedImage.targetSize ? (
                                         <>
-                                            <p className="text-sm text-gray-800">
-                                                <span className="font-semibold">出力サイズ:</span> {`${singleSelectedImage.targetSize.w} x ${singleSelectedImage.targetSize.h} px`}
-                                            </p>
-                                            <button
-                                                onClick={() => handleCropAdjust(singleSelectedImage.id)}
-                                                className="w-full py-2.5 px-4 bg-gray-200 text-gray-700 font-semibold rounded-xl hover:bg-gray-300 transition text-sm flex items-center justify-center"
-                                            >
-                                                <Scissors size={14} className="mr-2" />
-                                                トリミング調整
-                                            </button>
+                                            <div className="text-sm text-gray-800">
+                                                <span className="font-semibold">出力サイズ:</span>
+                                                {getSizeVariants(singleSelectedImage.targetSize).map((variant, index) => (
+                                                    <span key={index} className="ml-1">
+                                                        {`${variant.w} x ${variant.h} px`}
+                                                        {variant.variantName && <span className="text-gray-500">{` (${variant.variantName})`}</span>}
+                                                    </span>
+                                                ))}
+                                            </div>
+                                            {singleSelectedImage.targetSize.fit === 'contain' ? (
+                                                <div className="text-sm text-gray-600 bg-gray-100 p-3 rounded-xl text-center">
+                                                    この種別は余白を付けて全体を収めるため、トリミングは行いません。
+                                                </div>
+                                            ) : (
+                                                singleSelectedCropVariants.map(({ variant, index, names }) => (
+                                                    <button
+                                                        key={index}
+                                                        onClick={() => handleCropAdjust(singleSelectedImage.id, index)}
+                                                        className="w-full py-2.5 px-4 bg-gray-200 text-gray-700 font-semibold rounded-xl hover:bg-gray-300 transition text-sm flex items-center justify-center"
+                                                        title={singleSelectedCropVariants.length > 1 ? `共有するサイズ: ${names.join(', ')}` : undefined}
+                                                    >
+                                                        <Scissors size={14} className="mr-2" />
+                                                        {singleSelectedCropVariants.length > 1 ? `トリミング調整 (${getAspectKey(variant)})` : 'トリミング調整'}
+                                                    </button>
+                                                ))
+                                            )}
                                         </>
                                     ) : (
                                         <div className="text-sm text-yellow-600 bg-yellow-100 p-3 rounded-xl text-center">
@@ -792,7 +3440,7 @@ const EditScreen = ({ images, setImages, onProcess, onBack, setErrors, setIsLoad
                             <RotateCcw size={16} className="mr-2"/> 戻る
                         </button>
                         <button onClick={handleProcessClick} className="flex items-center px-6 py-3 rounded-xl text-white font-bold bg-blue-600 hover:bg-blue-700 transform hover:-translate-y-0.5 transition-all duration-200 shadow-lg">
-                            リサイズを実行
+                            {reeditImageIds ? '選択した画像を作り直す' : 'リサイズを実行'}
                             <ChevronsRight size={18} className="ml-2"/>
                         </button>
                     </footer>
@@ -812,6 +3460,29 @@ const EditScreen = ({ images, setImages, onProcess, onBack, setErrors, setIsLoad
                 />
             )}
 
+            {isPresetManagerOpen && (
+                <PresetManagerModal
+                    presets={resizeDefinitions}
+                    typeDetection={typeDetection}
+                    imageTypes={imageTypes}
+                    watermarks={watermarks}
+                    onClose={() => setIsPresetManagerOpen(false)}
+                    onSave={handlePresetsSave}
+                    setErrors={setErrors}
+                />
+            )}
+
+            {isWatermarkModalOpen && (
+                <WatermarkModal
+                    media={media}
+                    watermark={watermarks[media]}
+                    typeNames={typeNames}
+                    onClose={() => setIsWatermarkModalOpen(false)}
+                    onSave={onSaveWatermark}
+                    setErrors={setErrors}
+                />
+            )}
+
             {/* ローディングオーバーレイ */}
             {isLoadingThumbnails && (
                 <div className="absolute inset-0 bg-gray-100/80 backdrop-blur-sm flex items-center justify-center z-20">
@@ -831,23 +3502,302 @@ const EditScreen = ({ images, setImages, onProcess, onBack, setErrors, setIsLoad
     );
 };
 
-// ダウンロード画面
-const DownloadScreen = ({ zipBlob, onRestart, onDownload }) => {
-    const [isDownloaded, setIsDownloaded] = useState(false);
+// バイト数を表示用の文字列にする
+const formatBytes = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(2)} MB` : `${(bytes / 1024).toFixed(1)} KB`);
+
+// カスタムフック：出力画像のプレビュー用URL (画面を離れる際に解放する)
+const useResultPreviewUrls = (results) => {
+    const [previewUrls, setPreviewUrls] = useState({});
+
+    useEffect(() => {
+        const urls = Object.fromEntries(results.map(result => [result.path, URL.createObjectURL(result.blob)]));
+        setPreviewUrls(urls);
+        return () => Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+    }, [results]);
+
+    return previewUrls;
+};
 
-    const handleDownload = () => {
-      if (isDownloaded || !window.saveAs || !zipBlob) return;
+// 元画像から、出力と同じ範囲・サイズの補正前の画像を作成する (色調補正・シャープ処理・ウォーターマークなし)
+const createBeforeImage = (imageUrl, result) => {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.src = imageUrl;
+        image.onload = () => {
+            const canvas = getCroppedCanvas(image, result.cropRect, result.targetSize, getFitOptions(result.targetSize));
+            resolve(canvas.toDataURL('image/png'));
+        };
+        image.onerror = reject;
+    });
+};
+
+// 補正前と出力画像をスライダーで比較するモーダル
+const CompareModal = ({ result, image, afterUrl, onClose }) => {
+    const [beforeUrl, setBeforeUrl] = useState(null);
+    const [position, setPosition] = useState(50);
+
+    useEffect(() => {
+        let isCancelled = false;
+        createBeforeImage(image.originalUrl, result)
+            .then(url => { if (!isCancelled) setBeforeUrl(url); })
+            .catch(error => console.error("比較用画像の生成に失敗しました:", error));
+        return () => { isCancelled = true; };
+    }, [image, result]);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4" onClick={onClose}>
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+                <header className="flex items-center justify-between p-4 border-b border-gray-200">
+                    <h2 className="text-lg font-semibold text-gray-800 truncate" title={result.path}>{result.path}</h2>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+                        <X size={24} />
+                    </button>
+                </header>
+                <div className="p-6 flex-grow overflow-y-auto">
+                    <div className="relative mx-auto bg-gray-100" style={{ aspectRatio: `${result.width} / ${result.height}`, maxHeight: '60vh', maxWidth: '100%' }}>
+                        {beforeUrl ? (
+                            <img src={beforeUrl} alt="補正前" className="absolute inset-0 w-full h-full object-contain" />
+                        ) : (
+                            <div className="absolute inset-0 flex items-center justify-center">
+                                <Loader className="w-8 h-8 text-blue-500 animate-spin" />
+                            </div>
+                        )}
+                        <img
+                            src={afterUrl}
+                            alt="出力"
+                            className="absolute inset-0 w-full h-full object-contain"
+                            style={{ clipPath: `inset(0 0 0 ${position}%)` }}
+                        />
+                        <div className="absolute top-0 bottom-0 w-0.5 bg-white shadow pointer-events-none" style={{ left: `${position}%` }} />
+                        <span className="absolute top-2 left-2 px-2 py-0.5 rounded bg-black/50 text-white text-xs">補正前</span>
+                        <span className="absolute top-2 right-2 px-2 py-0.5 rounded bg-black/50 text-white text-xs">出力</span>
+                    </div>
+                    <input
+                        type="range" min="0" max="100" step="1"
+                        value={position}
+                        onChange={(e) => setPosition(Number(e.target.value))}
+                        className="mt-4 w-full accent-blue-600"
+                        aria-label="比較位置"
+                    />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// 処理結果の確認画面
+const ReviewScreen = ({ results, images, onReedit, onContinue }) => {
+    const previewUrls = useResultPreviewUrls(results);
+    const [selectedImageIds, setSelectedImageIds] = useState([]);
+    const [comparingPath, setComparingPath] = useState(null);
+    const comparingResult = results.find(result => result.path === comparingPath);
+    const overLimitCount = results.filter(result => result.isOverLimit).length;
+
+    const handleToggle = (imageId) => {
+        setSelectedImageIds(prev => prev.includes(imageId) ? prev.filter(id => id !== imageId) : [...prev, imageId]);
+    };
+
+    return (
+        <div className="w-full h-full flex flex-col bg-gray-100">
+            <main className="flex-grow overflow-y-auto p-4 sm:p-6">
+                <div className="mb-4 pb-4 border-b border-gray-200">
+                    <h1 className="text-xl font-semibold text-gray-800">処理結果の確認 ({results.length}件)</h1>
+                    <p className="text-xs text-gray-500 mt-1">
+                        画像をクリックすると補正前と比較できます。作り直したい画像にチェックを付けて「再編集」を押してください。
+                        {overLimitCount > 0 && <span className="ml-1 text-red-600 font-semibold">{overLimitCount}件がファイルサイズ上限を超えています。</span>}
+                    </p>
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+                    {results.map(result => {
+                        const isSelected = selectedImageIds.includes(result.imageId);
+                        return (
+                            <div key={result.path} className={`bg-white/60 border rounded-xl overflow-hidden shadow-sm transition-all duration-200 ${isSelected ? 'border-blue-500 ring-2 ring-blue-500/30' : 'border-gray-200/80'}`}>
+                                <button
+                                    onClick={() => setComparingPath(result.path)}
+                                    className="w-full h-40 bg-white flex items-center justify-center overflow-hidden border-b border-gray-200/80"
+                                    title="補正前と比較"
+                                >
+                                    {previewUrls[result.path] && <img src={previewUrls[result.path]} alt={result.path} loading="lazy" className="object-contain w-full h-full" />}
+                                </button>
+                                <div className="p-3 text-xs">
+                                    <label className="flex items-center font-semibold text-gray-800 cursor-pointer min-w-0">
+                                        <input
+                                            type="checkbox"
+                                            checked={isSelected}
+                                            onChange={() => handleToggle(result.imageId)}
+                                            className="mr-2 accent-blue-600 flex-shrink-0"
+                                        />
+                                        <span className="truncate" title={result.path}>{result.path}</span>
+                                    </label>
+                                    <p className="text-gray-500 mt-1">
+                                        {`${result.width} x ${result.height} px`}・{getResultFormatLabel(result)}
+                                    </p>
+                                    <p className={`font-mono mt-0.5 ${result.isOverLimit ? 'text-red-600 font-bold' : 'text-gray-700'}`}>
+                                        {formatBytes(result.bytes)}
+                                        {result.maxBytes && <span className="ml-1 text-[10px] font-normal text-gray-400">(上限 {formatBytes(result.maxBytes)})</span>}
+                                    </p>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </main>
+            <footer className="p-4 border-t border-gray-200/80 bg-white/50 flex justify-between items-center flex-shrink-0">
+                <button
+                    onClick={() => onReedit(selectedImageIds)}
+                    disabled={selectedImageIds.length === 0}
+                    className="flex items-center px-6 py-3 rounded-xl text-gray-700 font-semibold bg-gray-200 hover:bg-gray-300 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    <Scissors size={16} className="mr-2" />
+                    選択した画像を再編集{selectedImageIds.length > 0 && ` (${selectedImageIds.length}件)`}
+                </button>
+                <button onClick={onContinue} className="flex items-center px-6 py-3 rounded-xl text-white font-bold bg-blue-600 hover:bg-blue-700 transform hover:-translate-y-0.5 transition-all duration-200 shadow-lg">
+                    ダウンロードへ進む
+                    <ChevronsRight size={18} className="ml-2"/>
+                </button>
+            </footer>
+
+            {comparingResult && (
+                <CompareModal
+                    result={comparingResult}
+                    image={images.find(img => img.id === comparingResult.imageId)}
+                    afterUrl={previewUrls[comparingResult.path]}
+                    onClose={() => setComparingPath(null)}
+                />
+            )}
+        </div>
+    );
+};
 
-      const timestamp = new Date().toISOString().replace(/[-:.]/g, '').slice(0, 15);
-      const fileName = `resized_images_${timestamp.slice(0,8)}_${timestamp.slice(9)}.zip`;
-      window.saveAs(zipBlob, fileName);
+// ダウンロード画面
+// ZIPは、ダウンロード時に出力ファイルから生成する (処理結果と別にZIP全体をメモリに持たないため)
+const DownloadScreen = ({ archiveFileName, manifestFiles, results, onRestart, onBack, onDownload, setErrors }) => {
+    const [isDownloaded, setIsDownloaded] = useState(false);
+    const [isZipping, setIsZipping] = useState(false);
+    const [isSavingToFolder, setIsSavingToFolder] = useState(false);
+    // ZIP・フォルダへの保存に含めるファイル (画像と一覧ファイル)
+    const outputFiles = [...results.map(result => ({ path: result.path, data: result.blob })), ...manifestFiles];
+    const previewUrls = useResultPreviewUrls(results);
+    const canSaveToFolder = typeof window.showDirectoryPicker === 'function';
+
+    const completeDownload = () => {
       setIsDownloaded(true);
       if (onDownload) onDownload();
     };
 
+    // 保存先のファイルを選べるブラウザでは、ZIPを生成しながら直接書き出す
+    const handleDownload = async () => {
+      if (isDownloaded || isZipping) return;
+      const canWriteFile = typeof window.showSaveFilePicker === 'function';
+      if (!window.JSZip || (!canWriteFile && !window.saveAs)) return;
+
+      let fileHandle = null;
+      if (canWriteFile) {
+        try {
+          fileHandle = await window.showSaveFilePicker({
+            suggestedName: archiveFileName,
+            types: [{ description: 'ZIPファイル', accept: { 'application/zip': ['.zip'] } }],
+          });
+        } catch (error) {
+          if (error.name !== 'AbortError') {
+            console.error("保存先の選択に失敗しました:", error);
+            setErrors(['保存先のファイルを開けませんでした。']);
+          }
+          return;
+        }
+      }
+
+      setIsZipping(true);
+      try {
+        const zip = createZip(outputFiles);
+        if (fileHandle) {
+          await writeZipToFile(zip, await fileHandle.createWritable());
+        } else {
+          window.saveAs(await generateZipBlob(zip), archiveFileName);
+        }
+        completeDownload();
+      } catch (error) {
+        console.error("ZIPファイルの作成に失敗しました:", error);
+        setErrors(['ZIPファイルの作成に失敗しました。']);
+      } finally {
+        setIsZipping(false);
+      }
+    };
+
+    // 選択したフォルダの中に、ZIPと同じ名前のフォルダを新しく作る (同名のフォルダがあれば「_2」などを付ける)
+    // 既存のファイルを上書きせず、途中で失敗した場合も書き出したファイルがこのフォルダにまとまるようにする
+    const createOutputFolder = async (rootHandle) => {
+      const baseName = archiveFileName.replace(/\.zip$/i, '');
+      for (let count = 1; ; count++) {
+        const name = count === 1 ? baseName : `${baseName}_${count}`;
+        try {
+          await rootHandle.getDirectoryHandle(name);
+        } catch (error) {
+          if (error.name !== 'NotFoundError') throw error;
+          return { name, handle: await rootHandle.getDirectoryHandle(name, { create: true }) };
+        }
+      }
+    };
+
+    // 選択したフォルダに、ZIPと同じフォルダ構成でファイルを書き出す (File System Access API)
+    const handleSaveToFolder = async () => {
+      let rootHandle;
+      try {
+        rootHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error("フォルダの選択に失敗しました:", error);
+          setErrors(['フォルダを開けませんでした。ZIPファイルでダウンロードしてください。']);
+        }
+        return;
+      }
+
+      setIsSavingToFolder(true);
+      let outputFolder;
+      try {
+        outputFolder = await createOutputFolder(rootHandle);
+      } catch (error) {
+        console.error("保存先のフォルダの作成に失敗しました:", error);
+        setErrors(['保存先のフォルダを作成できませんでした。ZIPファイルでダウンロードしてください。']);
+        setIsSavingToFolder(false);
+        return;
+      }
+      const failedPaths = [];
+      for (const { path, data } of outputFiles) {
+        try {
+          const segments = path.split('/');
+          const fileName = segments.pop();
+          let directoryHandle = outputFolder.handle;
+          for (const segment of segments) {
+            directoryHandle = await directoryHandle.getDirectoryHandle(segment, { create: true });
+          }
+          const fileHandle = await directoryHandle.getFileHandle(fileName, { create: true });
+          const writable = await fileHandle.createWritable();
+          await writable.write(data);
+          await writable.close();
+        } catch (error) {
+          console.error("ファイルの保存に失敗しました:", path, error);
+          failedPaths.push(path);
+        }
+      }
+      setIsSavingToFolder(false);
+
+      if (failedPaths.length > 0) {
+        setErrors([`フォルダ「${outputFolder.name}」への保存に失敗したファイルがあります: ${failedPaths.join(', ')}`]);
+        return;
+      }
+      completeDownload();
+    };
+
+    const handleFileDownload = (result) => {
+      if (!window.saveAs) return;
+      window.saveAs(result.blob, result.path.split('/').pop());
+    };
+
     return (
         <div className="w-full h-full overflow-y-auto bg-gray-100 flex items-center justify-center">
-            <div className="w-full max-w-xl mx-auto px-4 sm:px-8 py-10 sm:py-12 text-center">
+            <div className="w-full max-w-3xl mx-auto px-4 sm:px-8 py-10 sm:py-12 text-center">
                 <div className="relative w-32 h-32 flex items-center justify-center mb-8 mx-auto">
                     <div className={`absolute inset-0 rounded-full shadow-2xl transition-all duration-500 ${isDownloaded ? 'bg-gradient-to-br from-blue-400 to-sky-500 shadow-blue-500/30' : 'bg-gradient-to-br from-green-400 to-emerald-500 shadow-green-500/30'} opacity-80`}></div>
                     <div className="relative w-20 h-20">
@@ -861,9 +3811,10 @@ const DownloadScreen = ({ zipBlob, onRestart, onDownload }) => {
                 <p className="text-base sm:text-lg text-gray-500 mt-3">
                     {isDownloaded ? 'ファイルをご確認ください。' : '下のボタンからZIPファイルをダウンロードしてください。'}
                 </p>
+                <p className="text-sm text-gray-400 mt-2 truncate" title={archiveFileName}>{archiveFileName}</p>
                 <button
                     onClick={handleDownload}
-                    disabled={isDownloaded}
+                    disabled={isDownloaded || isZipping}
                     className={`
                         mt-12 flex items-center justify-center w-full max-w-md mx-auto px-8 sm:px-12 py-4 rounded-2xl text-white 
                         font-bold text-lg sm:text-xl shadow-2xl transition-all duration-300 ease-in-out
@@ -878,6 +3829,11 @@ const DownloadScreen = ({ zipBlob, onRestart, onDownload }) => {
                             <Check size={24} className="mr-3" />
                             <span>ダウンロード完了</span>
                         </>
+                    ) : isZipping ? (
+                        <>
+                            <Loader size={24} className="mr-3 animate-spin" />
+                            <span>ZIPファイルを作成中...</span>
+                        </>
                     ) : (
                         <>
                             <Download size={24} className="mr-3" />
@@ -885,13 +3841,67 @@ const DownloadScreen = ({ zipBlob, onRestart, onDownload }) => {
                         </>
                     )}
                 </button>
-                <button
-                    onClick={onRestart}
-                    className="mt-10 flex items-center justify-center mx-auto px-6 py-2 rounded-lg text-gray-500 font-semibold hover:bg-gray-200/80 hover:text-gray-700 transition-colors"
-                >
-                    <RotateCcw size={16} className="mr-2" />
-                    最初に戻る
-                </button>
+                {canSaveToFolder && (
+                    <button
+                        onClick={handleSaveToFolder}
+                        disabled={isSavingToFolder}
+                        title="選択したフォルダの中に、ZIPと同じ名前のフォルダを作って保存します"
+                        className="mt-4 flex items-center justify-center mx-auto px-6 py-2.5 rounded-xl text-gray-700 font-semibold bg-white/80 border border-gray-300/50 hover:bg-white transition disabled:opacity-50 disabled:cursor-wait"
+                    >
+                        {isSavingToFolder ? <Loader size={16} className="mr-2 animate-spin" /> : <FolderOpen size={16} className="mr-2" />}
+                        {isSavingToFolder ? '保存中...' : 'フォルダにまとめて保存'}
+                    </button>
+                )}
+                {results.length > 0 && (
+                    <div className="mt-10 bg-white/60 border border-gray-200/80 rounded-xl shadow-sm text-left overflow-hidden">
+                        <h2 className="px-4 py-3 text-sm font-semibold text-gray-700 border-b border-gray-200/80">
+                            出力ファイル ({results.length}件)
+                        </h2>
+                        <div className="max-h-96 overflow-y-auto p-3 grid grid-cols-1 sm:grid-cols-2 gap-2">
+                            {results.map(result => (
+                                <div key={result.path} className="flex items-center space-x-3 bg-white border border-gray-200/80 rounded-lg p-2">
+                                    <div className="w-16 h-16 bg-gray-50 border border-gray-200 rounded-md flex-shrink-0 flex items-center justify-center overflow-hidden">
+                                        {previewUrls[result.path] && <img src={previewUrls[result.path]} alt={result.path} loading="lazy" className="object-contain w-full h-full" />}
+                                    </div>
+                                    <div className="flex-grow min-w-0 text-xs">
+                                        <p className="font-semibold text-gray-800 truncate" title={result.path}>{result.path}</p>
+                                        <p className="text-gray-500 mt-0.5">
+                                            {`${result.width} x ${result.height} px`}・{getResultFormatLabel(result)}
+                                        </p>
+                                        <p className={`font-mono mt-0.5 ${result.isOverLimit ? 'text-red-600 font-bold' : 'text-gray-700'}`}>
+                                            {formatBytes(result.bytes)}
+                                            {result.maxBytes && <span className="ml-1 text-[10px] font-normal text-gray-400">(上限 {formatBytes(result.maxBytes)})</span>}
+                                        </p>
+                                    </div>
+                                    <button
+                                        onClick={() => handleFileDownload(result)}
+                                        className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 hover:text-gray-700 transition-colors flex-shrink-0"
+                                        aria-label={`${result.path}をダウンロード`}
+                                        title="この画像をダウンロード"
+                                    >
+                                        <Download size={16} />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+                <div className="mt-10 flex items-center justify-center space-x-2">
+                    <button
+                        onClick={onBack}
+                        className="flex items-center px-6 py-2 rounded-lg text-gray-500 font-semibold hover:bg-gray-200/80 hover:text-gray-700 transition-colors"
+                    >
+                        <ChevronLeft size={16} className="mr-2" />
+                        確認画面に戻る
+                    </button>
+                    <button
+                        onClick={onRestart}
+                        className="flex items-center px-6 py-2 rounded-lg text-gray-500 font-semibold hover:bg-gray-200/80 hover:text-gray-700 transition-colors"
+                    >
+                        <RotateCcw size={16} className="mr-2" />
+                        最初に戻る
+                    </button>
+                </div>
             </div>
         </div>
     );
@@ -1034,9 +4044,18 @@ export default function App() {
   const [loadingProgress, setLoadingProgress] = useState(0);
   const [processingProgress, setProcessingProgress] = useState(0);
   const [totalFiles, setTotalFiles] = useState(0);
-  const [zipBlob, setZipBlob] = useState(null);
+  const [archiveFileName, setArchiveFileName] = useState('');
+  const [manifestFiles, setManifestFiles] = useState([]); // ZIPに含める一覧ファイル [{ path, data }]
+  const [lastRun, setLastRun] = useState(null); // 前回の処理内容とエンコード結果 (再編集した画像だけを作り直すために保持)
+  const [reeditImageIds, setReeditImageIds] = useState(null); // 確認画面から再編集中の画像 (通常の編集時はnull)
+  const [sessionSettings, setSessionSettings] = useState(null); // 編集画面の設定 (セッションとして保存)
+  const [savedSession, setSavedSession] = useState(null); // 復元できる前回のセッションの概要
+  const sessionSaveStateRef = useRef({ ...INITIAL_SESSION_SAVE_STATE });
+  const [processResults, setProcessResults] = useState([]); // 出力ファイルごとの画質・サイズ (ダウンロード画面に表示)
   const [errors, setErrors] = useState([]);
   const [isLoadingThumbnails, setIsLoadingThumbnails] = useState(false);
+  const { presets: resizeDefinitions, typeDetection, imageTypes, savePresets } = useMediaPresets();
+  const { watermarks, saveWatermarks } = useWatermarks();
 
   // === 通知システム用のState ===
   const [notification, setNotification] = useState(null); // 現在表示中の通知
@@ -1142,24 +4161,96 @@ export default function App() {
   }, [notificationQueue]);
 
 
+  // 起動時に、復元できる前回のセッションがあるかを確認する
+  useEffect(() => {
+    loadSessionSummary()
+      .then(setSavedSession)
+      .catch(error => console.warn("保存されたセッションを確認できませんでした:", error));
+  }, []);
+
+  // 編集中の画像と設定を自動で保存する (連続した変更はまとめて保存)
+  // 保存できなかった場合は、再読み込みで作業が失われることを1回だけ知らせる
+  // 容量不足の後は、毎回すべての元画像の書き込みを試みないよう、保存済みの画像の編集内容だけを保存する
+  useEffect(() => {
+    if (images.length === 0 || !['edit', 'review', 'download'].includes(screen)) return;
+    const timer = setTimeout(() => {
+      const saveState = sessionSaveStateRef.current;
+      const save = () => saveSession(images, sessionSettings, { saveNewBlobs: !saveState.isQuotaExceeded });
+      save()
+        .catch(error => {
+          if (saveState.isQuotaExceeded || !isQuotaExceededError(error)) throw error;
+          saveState.isQuotaExceeded = true; // 以降は、保存済みの画像の分だけを保存する
+          return save();
+        })
+        .then(unsavedCount => {
+          if (unsavedCount === 0 || saveState.hasReportedUnsaved) return;
+          saveState.hasReportedUnsaved = true;
+          handleFileErrors([`保存容量が不足しているため、${unsavedCount}枚の画像は自動保存されていません。再読み込みすると、これらの画像の作業は失われます。`]);
+        })
+        .catch(error => {
+          console.warn("セッションの保存に失敗しました:", error);
+          if (saveState.hasReportedError) return;
+          saveState.hasReportedError = true;
+          handleFileErrors(['作業中のセッションを自動保存できませんでした。再読み込みすると、作業が失われる可能性があります。']);
+        });
+    }, SESSION_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [images, sessionSettings, screen, handleFileErrors]);
+
+  const handleRestoreSession = async () => {
+    setScreen('loading');
+    setErrors([]);
+    try {
+      const session = await loadSession();
+      if (!session || session.images.length === 0) throw new Error('保存されたセッションがありません。');
+      const restoredImages = session.images.map(record => {
+        const originalUrl = URL.createObjectURL(record.sourceBlob);
+        return {
+          ...record,
+          // 保存後に削除された種別の画像は、自動判定の既定の種別にする
+          type: imageTypes.some(imageType => imageType.name === record.type) ? record.type : typeDetection.defaultType,
+          originalUrl,
+          thumbnailUrl: null, // サムネイルは復元後に作り直す
+          crops: record.crops || {},
+          isProcessed: false,
+          processedMedia: null,
+        };
+      });
+      setSessionSettings(session.settings);
+      setSavedSession(null);
+      await generateAndSetInitialThumbnails(restoredImages);
+    } catch (error) {
+      console.error("セッションの復元に失敗しました:", error);
+      handleFileErrors(['前回のセッションを復元できませんでした。']);
+      setScreen('upload');
+    }
+  };
+
+  const handleDiscardSession = () => {
+    setSavedSession(null);
+    sessionSaveStateRef.current = { ...INITIAL_SESSION_SAVE_STATE }; // 削除で容量が空くため、元画像の保存を再開する
+    clearSession().catch(error => console.warn("セッションの削除に失敗しました:", error));
+  };
+
   const generateAndSetInitialThumbnails = async (initialImages) => {
     setScreen('generating-thumbnails');
     setLoadingProgress(0);
     setTotalFiles(initialImages.length);
-    const media = 'EPARK'; // Default media for initial thumbnails
+    const media = Object.keys(resizeDefinitions)[0]; // Default media for initial thumbnails
 
     const updatedImages = [];
     for (const image of initialImages) {
-        const targetSize = RESIZE_DEFINITIONS[media]?.[image.type];
+        const targetSize = resizeDefinitions[media]?.[image.type];
         let finalImage = { ...image, isProcessed: true, processedMedia: media };
 
-        if (targetSize) {
-            try {
-                const newThumbnailUrl = await createFinalThumbnail(image.originalUrl, targetSize);
-                finalImage.thumbnailUrl = newThumbnailUrl;
-            } catch (error) {
-                console.error("Initial thumbnail generation failed:", image.file.name, error);
-            }
+        try {
+            const thumbnail = targetSize
+              ? await createFinalThumbnail(image.originalUrl, targetSize)
+              : { url: await createPlainThumbnail(image.originalUrl), contentRect: null };
+            finalImage.thumbnailUrl = thumbnail.url;
+            finalImage.thumbnailContentRect = thumbnail.contentRect;
+        } catch (error) {
+            console.error("Initial thumbnail generation failed:", image.file.name, error);
         }
         updatedImages.push(finalImage);
         setLoadingProgress(prev => prev + 1);
@@ -1171,8 +4262,8 @@ export default function App() {
 
   const handleFilesAccepted = async (files) => {
     if (files.length === 0) return;
-    if (files.length > 30) {
-        handleFileErrors(['一度にアップロードできるファイルは30枚までです。']);
+    if (files.length > MAX_UPLOAD_FILES) {
+        handleFileErrors([`一度にアップロードできるファイルは${MAX_UPLOAD_FILES}枚までです。`]);
         return;
     }
     setScreen('loading');
@@ -1180,13 +4271,17 @@ export default function App() {
     setTotalFiles(files.length);
     setLoadingProgress(0);
 
-    const newImages = await Promise.all(files.map(async (file, index) => {
+    // HEICの変換や向きの補正では元画像をデコードするため、同時に処理する枚数を制限する
+    const newImages = await mapWithConcurrency(files, DECODE_CONCURRENCY, async (file, index) => {
       try {
         let blob = file;
         const lowerCaseName = file.name.toLowerCase();
         if ((lowerCaseName.endsWith('.heic') || lowerCaseName.endsWith('.heif')) && window.heic2any) {
           blob = await window.heic2any({ blob: file, toType: "image/jpeg", quality: 0.9 });
         }
+        // EXIFの向きは読み込み時に画素へ反映し、以降の表示・トリミング・出力で向きが揃うようにする
+        const exif = await readExif(blob);
+        blob = await normalizeOrientation(blob, exif);
         const originalUrl = URL.createObjectURL(blob);
         
         setLoadingProgress(prev => prev + 1);
@@ -1194,10 +4289,13 @@ export default function App() {
         return {
           id: `${file.name}-${Date.now()}-${index}`,
           file,
+          sourceBlob: blob, // HEIC変換後の画像 (リサイズ処理のワーカーに渡す)
           originalUrl,
-          thumbnailUrl: originalUrl, // Temporarily use originalUrl
-          type: detectImageType(file.name),
-          cropData: null,
+          thumbnailUrl: null, // 縮小したサムネイルを生成するまでは読み込み中を表示する
+          relativePath: getRelativePath(file), // フォルダをアップロードした場合は「フォルダ/ファイル名」
+          type: detectImageType(typeDetection, getRelativePath(file)),
+          metadata: { artist: exif.artist, copyright: exif.copyright }, // 出力に残せるEXIF情報 (元画像にない場合はnull)
+          crops: {}, // メディア・種別・縦横比ごとのトリミング情報 (getStoredCropを参照)
           isProcessed: false,
           processedMedia: null,
         };
@@ -1207,116 +4305,141 @@ export default function App() {
         setLoadingProgress(prev => prev + 1);
         return null;
       }
-    }));
+    });
     
     await generateAndSetInitialThumbnails(newImages.filter(Boolean));
   };
 
-  const getCroppedCanvas = (imageUrl, cropData, targetSize) => {
-    return new Promise((resolve, reject) => {
-        const image = new Image();
-        image.crossOrigin = 'anonymous';
-        image.src = imageUrl;
-        image.onload = () => {
-            let sourceX, sourceY, sourceWidth, sourceHeight;
-
-            if (cropData) {
-                sourceX = cropData.x; sourceY = cropData.y;
-                sourceWidth = cropData.width; sourceHeight = cropData.height;
-            } else {
-                const imageAspect = image.width / image.height;
-                const targetAspect = targetSize.w / targetSize.h;
-                if (imageAspect > targetAspect) {
-                    sourceHeight = image.height; sourceWidth = image.height * targetAspect;
-                    sourceX = (image.width - sourceWidth) / 2; sourceY = 0;
-                } else {
-                    sourceWidth = image.width; sourceHeight = image.width / targetAspect;
-                    sourceX = 0; sourceY = (image.height - sourceHeight) / 2;
-                }
-            }
-
-            
-            // 1. 元画像から必要な部分だけを高解像度で切り出す
-            const cropCanvas = document.createElement('canvas');
-            cropCanvas.width = sourceWidth;
-            cropCanvas.height = sourceHeight;
-            const cropCtx = cropCanvas.getContext('2d');
-            cropCtx.drawImage(image, sourceX, sourceY, sourceWidth, sourceHeight, 0, 0, sourceWidth, sourceHeight);
-
-            // 2. 段階的にリサイズして品質を維持する
-            let currentCanvas = cropCanvas;
-            let currentWidth = sourceWidth;
-            let currentHeight = sourceHeight;
-
-            // ターゲットサイズの半分より大きい間、半分に縮小を繰り返す
-            while (currentWidth > targetSize.w * 2 && currentHeight > targetSize.h * 2) {
-                const halfWidth = Math.floor(currentWidth / 2);
-                const halfHeight = Math.floor(currentHeight / 2);
-                
-                // 最後のステップ以外では、スムージングをかけすぎない設定も有効
-                if(halfWidth < targetSize.w * 1.5){
-                    break;
-                }
-
-                const tempCanvas = document.createElement('canvas');
-                tempCanvas.width = halfWidth;
-                tempCanvas.height = halfHeight;
-                const tempCtx = tempCanvas.getContext('2d');
-                tempCtx.imageSmoothingQuality = 'medium'; // 中間処理はmedium
-                tempCtx.drawImage(currentCanvas, 0, 0, currentWidth, currentHeight, 0, 0, halfWidth, halfHeight);
-
-                currentCanvas = tempCanvas;
-                currentWidth = halfWidth;
-                currentHeight = halfHeight;
-            }
-
-            // 3. 最終的なターゲットサイズに描画する
-            const finalCanvas = document.createElement('canvas');
-            finalCanvas.width = targetSize.w;
-            finalCanvas.height = targetSize.h;
-            const finalCtx = finalCanvas.getContext('2d');
-            
-            // 最終描画では品質を最高に設定
-            finalCtx.imageSmoothingQuality = 'high';
-            finalCtx.drawImage(currentCanvas, 0, 0, currentWidth, currentHeight, 0, 0, targetSize.w, targetSize.h);
-            
-
-            resolve(finalCanvas);
-        };
-        image.onerror = reject;
+  // プリセット保存時は、メディア名・種別名の変更に合わせてウォーターマーク設定も引き継ぐ
+  // settings: { presets, typeDetection, imageTypes }, renames: { media, types } (それぞれ変更前の名前 → 変更後の名前)
+  // settings.watermarksは、プリセット管理で編集・インポートした内容 (変更後のメディア名ごと)
+  // 戻り値: 保存できたか
+  const handleSavePresets = ({ watermarks: newWatermarks, ...presetSettings }, renames) => {
+    if (!savePresets(presetSettings)) return false;
+    const migrated = {};
+    Object.entries(newWatermarks).forEach(([name, watermark]) => {
+      const types = Object.fromEntries(Object.entries(watermark.types || {})
+        .map(([type, enabled]) => [renames.types[type] ?? type, enabled])
+        .filter(([type]) => presetSettings.imageTypes.some(imageType => imageType.name === type))); // 削除された種別は取り除く
+      migrated[name] = { ...watermark, types };
     });
+    if (!saveWatermarks(migrated)) {
+      handleFileErrors(['プリセットは保存しましたが、ウォーターマーク設定を保存できませんでした。']);
+    }
+    return true;
   };
 
-  const handleProcess = async (imagesToProcess, media, quality) => {
+  // 戻り値: 保存できたか
+  const handleSaveWatermark = (media, watermark) => saveWatermarks({ ...watermarks, [media]: watermark });
+
+  // 確認画面から再編集した画像だけを作り直す場合は、前回のエンコード結果を引き継ぎ、
+  // 再編集した画像と、出力設定・プリセット・ウォーターマークの変更で前回の結果が使えなくなった組み合わせだけをエンコードする
+  const handleProcess = async (imagesToProcess, mediaList, processOptions) => {
     if (!window.JSZip) {
         handleFileErrors(['ZIP圧縮ライブラリが読み込まれていません。']);
         return;
     }
+    const isRebuild = Boolean(reeditImageIds && lastRun);
+    const run = {
+      mediaList,
+      imageIds: imagesToProcess.map(img => img.id),
+      options: processOptions,
+      encodedByKey: isRebuild ? lastRun.encodedByKey : new Map(),
+    };
+    const { quality, cropStrategies, resampling, sharpen, keepMetadata, nameTemplate, folderStructure, mirrorSourceFolders, archiveName, manifestFormat } = run.options;
+
+    // メディアと画像の組み合わせごとに1ファイルを出力する
+    const tasks = buildOutputTasks(images.filter(img => run.imageIds.includes(img.id)), run.mediaList, resizeDefinitions);
+    const isMultiMedia = run.mediaList.length > 1;
+    const startedAt = new Date();
+    const baseNames = buildOutputBaseNames(tasks, nameTemplate, startedAt);
+    const encodedByKey = new Map(run.encodedByKey);
+    const tasksToEncode = tasks.filter(task =>
+      encodedByKey.get(getTaskKey(task))?.encodingKey !== getEncodingKey(task, run.options, watermarks) || reeditImageIds?.includes(task.image.id)
+    );
+
     setScreen('processing');
     setProcessingProgress(0);
-    setTotalFiles(imagesToProcess.length);
-    const zip = new window.JSZip();
+    setTotalFiles(tasksToEncode.length);
 
-    for (const image of imagesToProcess) {
-      const targetSize = RESIZE_DEFINITIONS[media][image.type];
-      if (!targetSize) {
-        setProcessingProgress(prev => prev + 1); continue;
-      }
+    // デコード・縮小・エンコードはワーカーで並列に処理し、完了した画像から順に進捗を更新する
+    const pool = createResizeWorkerPool();
+    await Promise.all(tasksToEncode.map(async (task) => {
+      const { media, image, targetSize } = task;
+      encodedByKey.delete(getTaskKey(task));
       try {
-        const canvas = await getCroppedCanvas(image.originalUrl, image.cropData, targetSize);
-        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
-        const fileNameWithoutExt = image.file.name.substring(0, image.file.name.lastIndexOf('.')) || image.file.name;
-        zip.file(`${fileNameWithoutExt}.jpg`, blob);
+        const { cropData } = resolveCrop(image, media, targetSize, cropStrategies);
+        // プリセットでファイルサイズ上限が指定されている場合は、上限に収まる最も高い画質を探索する
+        const maxBytes = targetSize.maxFileSizeKB ? targetSize.maxFileSizeKB * 1024 : null;
+        const result = await pool.run({
+          blob: image.sourceBlob,
+          cropData,
+          targetSize,
+          format: targetSize.format || DEFAULT_OUTPUT_FORMAT,
+          background: targetSize.background || DEFAULT_BACKGROUND_COLOR,
+          fitOptions: getFitOptions(targetSize),
+          quality,
+          maxBytes,
+          resampling,
+          sharpen,
+          adjustments: image.adjustments,
+          watermark: getActiveWatermark(watermarks, media, image.type),
+          metadata: keepMetadata ? image.metadata : null,
+        });
+        encodedByKey.set(getTaskKey(task), { result, maxBytes, encodingKey: getEncodingKey(task, run.options, watermarks) });
       } catch (err) {
         console.error("画像処理エラー:", image.file.name, err);
         handleFileErrors([`画像処理エラー: ${image.file.name}`]);
       }
       setProcessingProgress(prev => prev + 1);
+    }));
+    pool.terminate();
+
+    const dedupe = createPathDeduplicator();
+    const results = [];
+    const manifestFiles = []; // 画像とあわせてZIPに含める一覧ファイル (ZIPはダウンロード時に生成する)
+    // ファイル名の重複の解消が処理の完了順に左右されないよう、タスクの順序で追加する
+    tasks.forEach((task, taskIndex) => {
+      const encoded = encodedByKey.get(getTaskKey(task));
+      if (!encoded) return; // 処理に失敗した画像
+      const { result, maxBytes } = encoded;
+      // 拡張子は実際にエンコードされた形式に合わせる (ブラウザが非対応の形式はPNGになるため)
+      const format = OUTPUT_FORMATS[result.blob.type] ? result.blob.type : DEFAULT_OUTPUT_FORMAT;
+      const path = dedupe(getOutputFolder(task, folderStructure, isMultiMedia, mirrorSourceFolders), baseNames[taskIndex], OUTPUT_FORMATS[format].extension);
+      results.push({
+        path, blob: result.blob, imageId: task.image.id, source: task.image.relativePath || task.image.file.name, media: task.media, type: task.image.type,
+        targetSize: task.targetSize, cropRect: result.cropRect, width: task.targetSize.w, height: task.targetSize.h, format, requestedFormat: task.targetSize.format || DEFAULT_OUTPUT_FORMAT, quality: result.quality, bytes: result.blob.size, maxBytes, isOverLimit: result.isOverLimit,
+      });
+    });
+    Object.entries(createManifestFiles(results, manifestFormat, startedAt)).forEach(([name, content]) => {
+      // 画像と名前が重なった場合も上書きしないよう、重複を避けた名前で追加する
+      const [baseName, extension] = name.split('.');
+      const path = dedupe('', baseName, extension);
+      manifestFiles.push({ path, data: content });
+    });
+
+    setManifestFiles(manifestFiles);
+    setArchiveFileName(buildArchiveName(archiveName, startedAt));
+    setProcessResults(results.sort((a, b) => a.path.localeCompare(b.path)));
+    setLastRun({ ...run, encodedByKey });
+    setReeditImageIds(null);
+    setIsDownloadCompleted(false);
+    const overLimitCount = results.filter(r => r.isOverLimit).length;
+    if (overLimitCount > 0) {
+      handleFileErrors([`${overLimitCount}件の画像が、画質を下げてもファイルサイズ上限に収まりませんでした。`]);
     }
+    setScreen('review');
+  };
+
+  // 確認画面で選択した画像を編集画面に戻す
+  const handleReedit = (imageIds) => {
+    setReeditImageIds(imageIds);
+    setScreen('edit');
+  };
 
-    const zipFile = await zip.generateAsync({ type: 'blob' });
-    setZipBlob(zipFile);
-    setScreen('download');
+  const handleCancelReedit = () => {
+    setReeditImageIds(null);
+    setScreen('review');
   };
 
   const handleDownload = () => setIsDownloadCompleted(true);
@@ -1378,7 +4501,12 @@ export default function App() {
   const handleRestart = () => {
     images.forEach(image => URL.revokeObjectURL(image.originalUrl));
     setImages([]);
-    setZipBlob(null);
+    setManifestFiles([]);
+    setLastRun(null);
+    setReeditImageIds(null);
+    setSessionSettings(null);
+    handleDiscardSession();
+    setProcessResults([]);
     setErrors([]);
     setIsDownloadCompleted(false);
     setScreen('upload');
@@ -1387,18 +4515,20 @@ export default function App() {
   const workflowSteps = [
     { id: 'upload', name: 'アップロード' },
     { id: 'edit', name: '画像編集' },
+    { id: 'review', name: '確認' },
     { id: 'download', name: 'ダウンロード' },
   ];
 
   const getCurrentStep = () => {
-    if (isDownloadCompleted) return 4;
+    if (isDownloadCompleted) return 5;
     switch (screen) {
         case 'upload': return 1;
         case 'loading': 
         case 'generating-thumbnails': 
         case 'edit': return 2;
         case 'processing': 
-        case 'download': return 3;
+        case 'review': return 3;
+        case 'download': return 4;
         default: return 0;
     }
   };
@@ -1410,10 +4540,11 @@ export default function App() {
       case 'initializing': return <LoadingScreen title="ライブラリを準備中..." />;
       case 'loading': return <LoadingScreen title="画像を読み込んでいます..." progress={loadingProgress} total={totalFiles} />;
       case 'generating-thumbnails': return <LoadingScreen title="プレビューを生成中..." progress={loadingProgress} total={totalFiles} />;
-      case 'edit': return <EditScreen images={images} setImages={setImages} onProcess={handleProcess} onBack={handleRestart} setErrors={handleFileErrors} setIsLoadingThumbnails={setIsLoadingThumbnails} isLoadingThumbnails={isLoadingThumbnails} />;
+      case 'edit': return <EditScreen images={images} setImages={setImages} onProcess={handleProcess} onBack={reeditImageIds ? handleCancelReedit : handleRestart} setErrors={handleFileErrors} setIsLoadingThumbnails={setIsLoadingThumbnails} isLoadingThumbnails={isLoadingThumbnails} resizeDefinitions={resizeDefinitions} typeDetection={typeDetection} imageTypes={imageTypes} onSavePresets={handleSavePresets} watermarks={watermarks} onSaveWatermark={handleSaveWatermark} reeditImageIds={reeditImageIds} initialSettings={sessionSettings} onSettingsChange={setSessionSettings} />;
 
       case 'processing': return <LoadingScreen title="画像を処理中です..." progress={processingProgress} total={totalFiles} />;
-      case 'download': return <DownloadScreen zipBlob={zipBlob} onRestart={handleRestart} onDownload={handleDownload} />;
+      case 'review': return <ReviewScreen results={processResults} images={images} onReedit={handleReedit} onContinue={() => setScreen('download')} />;
+      case 'download': return <DownloadScreen archiveFileName={archiveFileName} manifestFiles={manifestFiles} results={processResults} onRestart={handleRestart} onBack={() => setScreen('review')} onDownload={handleDownload} setErrors={handleFileErrors} />;
       case 'upload': 
             default: 
               return <UploadScreen 
@@ -1421,6 +4552,9 @@ export default function App() {
                 setErrors={handleFileErrors} 
                 updateNotifications={updateBannerNotifications}
                 onShowUpdates={handleShowUpdateModal}
+                savedSession={savedSession}
+                onRestoreSession={handleRestoreSession}
+                onDiscardSession={handleDiscardSession}
               />;
     }
   };
@@ -1441,7 +4575,7 @@ export default function App() {
 
           {screen !== 'initializing' && <AppHeader currentStep={currentStep} steps={workflowSteps} isLoading={isLoading} />}
           <div className="flex-grow relative min-h-0 flex flex-col">
-            <div className="absolute top-4 left-4 right-4 z-50 space-y-2 w-auto max-w-full">
+            <div className="absolute top-4 left-4 right-4 z-[60] space-y-2 w-auto max-w-full">
               {errors.map((error, index) => (
                   <Alert key={index} message={error} onDismiss={() => setErrors(prev => prev.filter((_, i) => i !== index))} />
               ))}
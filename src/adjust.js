@@ -0,0 +1,102 @@
+// === 色調補正 (明るさ・コントラスト・彩度・ホワイトバランス・レベル補正) ===
+// 出力(imagePipeline.js)とサムネイルのプレビューで同じ処理を使い、見た目を揃えます。
+
+// 補正値はいずれも -100〜100 (0で補正なし)
+// levels: 自動レベル補正で求めたチャンネルごとの黒点・白点 { low: [r, g, b], high: [r, g, b] } (nullで補正なし)
+export const DEFAULT_ADJUSTMENTS = {
+  brightness: 0,
+  contrast: 0,
+  saturation: 0,
+  temperature: 0,
+  tint: 0,
+  levels: null,
+};
+
+export const isNeutralAdjustments = (adjustments) => !adjustments ||
+  (!adjustments.brightness && !adjustments.contrast && !adjustments.saturation &&
+    !adjustments.temperature && !adjustments.tint && !adjustments.levels);
+
+const WHITE_BALANCE_STRENGTH = 0.2; // 色温度・色かぶり補正が最大のときのチャンネルの増減率
+const AUTO_LEVELS_CLIP = 0.005; // 自動レベル補正で両端から切り捨てる画素の割合
+
+// チャンネルごとのトーンカーブ(0〜255 → 0〜255)を作成する
+// 順序: レベル補正 → ホワイトバランス → 明るさ → コントラスト
+const createChannelLut = (channel, { brightness = 0, contrast = 0, temperature = 0, tint = 0, levels }) => {
+  const lut = new Uint8ClampedArray(256);
+  const gains = [
+    1 + (temperature / 100) * WHITE_BALANCE_STRENGTH,
+    1 - (tint / 100) * WHITE_BALANCE_STRENGTH,
+    1 - (temperature / 100) * WHITE_BALANCE_STRENGTH,
+  ];
+  const contrastValue = contrast * 2.55;
+  const contrastFactor = (259 * (contrastValue + 255)) / (255 * (259 - contrastValue));
+  const low = levels ? levels.low[channel] : 0;
+  const high = levels ? levels.high[channel] : 255;
+
+  for (let value = 0; value < 256; value++) {
+    let v = high > low ? ((value - low) / (high - low)) * 255 : value;
+    v *= gains[channel];
+    v += brightness * 1.28;
+    v = contrastFactor * (v - 128) + 128;
+    lut[value] = v;
+  }
+  return lut;
+};
+
+// 画素配列に補正を適用する (画素配列を直接書き換える)
+export const applyAdjustments = ({ data }, adjustments) => {
+  if (isNeutralAdjustments(adjustments)) return;
+  const luts = [0, 1, 2].map(channel => createChannelLut(channel, adjustments));
+  const saturation = 1 + (adjustments.saturation || 0) / 100;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const r = luts[0][data[i]];
+    const g = luts[1][data[i + 1]];
+    const b = luts[2][data[i + 2]];
+    if (saturation === 1) {
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      continue;
+    }
+    const gray = 0.299 * r + 0.587 * g + 0.114 * b;
+    data[i] = gray + (r - gray) * saturation;
+    data[i + 1] = gray + (g - gray) * saturation;
+    data[i + 2] = gray + (b - gray) * saturation;
+  }
+};
+
+// ヒストグラムの両端を少しだけ切り捨てて、チャンネルごとの黒点・白点を求める
+export const computeAutoLevels = ({ data }) => {
+  const histograms = [0, 1, 2].map(() => new Uint32Array(256));
+  let count = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue; // 透明な画素は対象外
+    histograms[0][data[i]]++;
+    histograms[1][data[i + 1]]++;
+    histograms[2][data[i + 2]]++;
+    count++;
+  }
+  if (count === 0) return null;
+
+  const clip = count * AUTO_LEVELS_CLIP;
+  const findPoint = (histogram, fromHigh) => {
+    let total = 0;
+    for (let step = 0; step < 256; step++) {
+      const value = fromHigh ? 255 - step : step;
+      total += histogram[value];
+      if (total > clip) return value;
+    }
+    return fromHigh ? 255 : 0;
+  };
+  const low = histograms.map(histogram => findPoint(histogram, false));
+  const high = histograms.map(histogram => findPoint(histogram, true));
+  // 階調がほとんどないチャンネル(単色の画像など)は補正しない
+  low.forEach((value, channel) => {
+    if (high[channel] - value < 16) {
+      low[channel] = 0;
+      high[channel] = 255;
+    }
+  });
+  return { low, high };
+};
@@ -0,0 +1,150 @@
+// === JPEGのEXIF情報の読み書き ===
+// 向き(Orientation)の補正と、出力画像への著作権者・撮影者情報の埋め込みに使用します。
+// 位置情報などその他のメタデータは、canvasで再エンコードする時点ですべて取り除かれます。
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_ARTIST = 0x013b;
+const TAG_COPYRIGHT = 0x8298;
+const TYPE_ASCII = 2;
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00]; // "Exif\0\0"
+const MAX_HEADER_BYTES = 256 * 1024; // EXIFは画像データより前にあるため、先頭部分だけを読む
+
+const isJpeg = (bytes) => bytes.length > 4 && bytes[0] === 0xff && bytes[1] === 0xd8;
+
+// JPEGのセグメントを先頭から順に返す (画像データ(SOS)の手前まで)
+const readSegments = (bytes) => {
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    if (marker === 0xda || marker === 0xd9) break; // SOS / EOI
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    segments.push({ marker, offset, length });
+    offset += 2 + length;
+  }
+  return segments;
+};
+
+const isExifSegment = (bytes, { marker, offset }) =>
+  marker === 0xe1 && EXIF_HEADER.every((value, i) => bytes[offset + 4 + i] === value);
+
+// IFD0のエントリを読み取る (tiffStart: TIFFヘッダの位置)
+const readIfd0 = (bytes, tiffStart) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const littleEndian = view.getUint16(tiffStart) === 0x4949; // "II"
+  const ifdOffset = tiffStart + view.getUint32(tiffStart + 4, littleEndian);
+  const count = view.getUint16(ifdOffset, littleEndian);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const entryOffset = ifdOffset + 2 + i * 12;
+    if (entryOffset + 12 > bytes.length) break;
+    entries.push({
+      tag: view.getUint16(entryOffset, littleEndian),
+      type: view.getUint16(entryOffset + 2, littleEndian),
+      count: view.getUint32(entryOffset + 4, littleEndian),
+      valueOffset: entryOffset + 8,
+    });
+  }
+  return { view, littleEndian, entries };
+};
+
+const readAscii = (bytes, view, littleEndian, tiffStart, entry) => {
+  if (entry.type !== TYPE_ASCII) return null;
+  const start = entry.count <= 4 ? entry.valueOffset : tiffStart + view.getUint32(entry.valueOffset, littleEndian);
+  if (start + entry.count > bytes.length) return null;
+  const text = new TextDecoder().decode(bytes.subarray(start, start + entry.count)).replace(/\0+$/, '').trim();
+  return text || null;
+};
+
+// JPEGのEXIFから向き・撮影者・著作権者を読み取る
+// 戻り値: { orientation (1〜8。情報がなければ1), artist, copyright (なければnull), orientationOffset (向きの値の位置) }
+export const readExif = async (blob) => {
+  const empty = { orientation: 1, artist: null, copyright: null, orientationOffset: null };
+  const bytes = new Uint8Array(await blob.slice(0, MAX_HEADER_BYTES).arrayBuffer());
+  if (!isJpeg(bytes)) return empty;
+
+  const segment = readSegments(bytes).find(s => isExifSegment(bytes, s));
+  if (!segment) return empty;
+
+  try {
+    const tiffStart = segment.offset + 10;
+    const { view, littleEndian, entries } = readIfd0(bytes, tiffStart);
+    const result = { ...empty };
+    entries.forEach(entry => {
+      if (entry.tag === TAG_ORIENTATION) {
+        const orientation = view.getUint16(entry.valueOffset, littleEndian);
+        if (orientation >= 1 && orientation <= 8) result.orientation = orientation;
+        result.orientationOffset = { offset: entry.valueOffset, littleEndian };
+      } else if (entry.tag === TAG_ARTIST) {
+        result.artist = readAscii(bytes, view, littleEndian, tiffStart, entry);
+      } else if (entry.tag === TAG_COPYRIGHT) {
+        result.copyright = readAscii(bytes, view, littleEndian, tiffStart, entry);
+      }
+    });
+    return result;
+  } catch (error) {
+    // EXIFが壊れている場合は、情報なしとして扱う
+    console.warn("EXIFの読み取りに失敗しました:", error);
+    return empty;
+  }
+};
+
+// EXIFの向きを1(補正なし)に書き換えたBlobを返す
+// ブラウザによる自動回転を止め、向きの補正をアプリ側で一律に行うために使用する
+export const resetOrientation = async (blob, { orientationOffset }) => {
+  if (!orientationOffset) return blob;
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  new DataView(bytes.buffer).setUint16(orientationOffset.offset, 1, orientationOffset.littleEndian);
+  return new Blob([bytes], { type: blob.type });
+};
+
+// 撮影者・著作権者だけを含むEXIF(APP1)セグメントを作成する
+export const createExifSegment = ({ artist, copyright }) => {
+  const encoder = new TextEncoder();
+  const fields = [[TAG_ARTIST, artist], [TAG_COPYRIGHT, copyright]]
+    .filter(([, value]) => value)
+    .map(([tag, value]) => ({ tag, data: encoder.encode(`${value}\0`) }));
+  if (fields.length === 0) return null;
+
+  // TIFFヘッダ(8) + エントリ数(2) + エントリ(12×n) + 次のIFDの位置(4) + 文字列データ
+  const ifdSize = 2 + fields.length * 12 + 4;
+  const dataSize = fields.reduce((sum, { data }) => sum + (data.length > 4 ? data.length : 0), 0);
+  const tiff = new Uint8Array(8 + ifdSize + dataSize);
+  const view = new DataView(tiff.buffer);
+  view.setUint16(0, 0x4d4d); // "MM" (ビッグエンディアン)
+  view.setUint16(2, 0x002a);
+  view.setUint32(4, 8);
+  view.setUint16(8, fields.length);
+
+  let dataOffset = 8 + ifdSize;
+  fields.forEach(({ tag, data }, i) => {
+    const entryOffset = 10 + i * 12;
+    view.setUint16(entryOffset, tag);
+    view.setUint16(entryOffset + 2, TYPE_ASCII);
+    view.setUint32(entryOffset + 4, data.length);
+    if (data.length <= 4) {
+      tiff.set(data, entryOffset + 8);
+    } else {
+      view.setUint32(entryOffset + 8, dataOffset);
+      tiff.set(data, dataOffset);
+      dataOffset += data.length;
+    }
+  });
+  view.setUint32(10 + fields.length * 12, 0);
+
+  const segment = new Uint8Array(4 + EXIF_HEADER.length + tiff.length);
+  segment.set([0xff, 0xe1, ((segment.length - 2) >> 8) & 0xff, (segment.length - 2) & 0xff]);
+  segment.set(EXIF_HEADER, 4);
+  segment.set(tiff, 4 + EXIF_HEADER.length);
+  return segment;
+};
+
+// エンコード済みのJPEGにEXIFセグメントを挿入する (JFIFヘッダ(APP0)がある場合はその直後)
+export const embedExifSegment = async (blob, segment) => {
+  if (!segment) return blob;
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  if (!isJpeg(bytes)) return blob;
+  const [first] = readSegments(bytes);
+  const insertAt = first && first.marker === 0xe0 ? first.offset + 2 + first.length : 2;
+  return new Blob([bytes.subarray(0, insertAt), segment, bytes.subarray(insertAt)], { type: blob.type });
+};
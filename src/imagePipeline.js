@@ -0,0 +1,401 @@
+// === 画像のリサイズ処理 ===
+// メインスレッドとWeb Worker(resize.worker.js)の両方から利用するため、DOMに依存しない形で実装しています。
+import { resamplePixels, unsharpMask } from './resample.js';
+import { resetOrientation, createExifSegment, embedExifSegment } from './exif.js';
+import { applyAdjustments, isNeutralAdjustments } from './adjust.js';
+
+// OffscreenCanvasが使える環境ではOffscreenCanvasを、使えない環境では通常のcanvas要素を作成
+export const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+// 出力比率で切り出せる最大の範囲を、画像の中央に配置した矩形を返す
+export const getCenterCropRect = (imageWidth, imageHeight, targetSize) => {
+  const imageAspect = imageWidth / imageHeight;
+  const targetAspect = targetSize.w / targetSize.h;
+  if (imageAspect > targetAspect) {
+    const width = imageHeight * targetAspect;
+    return { x: (imageWidth - width) / 2, y: 0, width, height: imageHeight };
+  }
+  const height = imageWidth / targetAspect;
+  return { x: 0, y: (imageHeight - height) / 2, width: imageWidth, height };
+};
+
+// トリミング情報に回転・反転(rotate, scaleX, scaleY)が含まれているか
+export const hasTransform = (cropData) => Boolean(cropData) &&
+  ((cropData.rotate || 0) % 360 !== 0 || (cropData.scaleX ?? 1) !== 1 || (cropData.scaleY ?? 1) !== 1);
+
+// 回転・反転を適用した画像を返す (変換がない場合は元の画像をそのまま返す)
+// 座標系はCropper.jsのgetDataと同じく、回転後の画像の外接矩形の左上を原点とする
+export const getTransformedImage = (image, cropData) => {
+  if (!hasTransform(cropData)) return image;
+  const radians = ((cropData.rotate || 0) * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+  const canvas = createCanvas(
+    Math.max(1, Math.round(image.width * cos + image.height * sin)),
+    Math.max(1, Math.round(image.width * sin + image.height * cos))
+  );
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate(radians);
+  ctx.scale(cropData.scaleX ?? 1, cropData.scaleY ?? 1);
+  ctx.drawImage(image, -image.width / 2, -image.height / 2);
+  return canvas;
+};
+
+// Blobを描画可能な画像に変換 (createImageBitmapに未対応の環境ではimg要素を使用)
+export const decodeImage = async (blob) => {
+  if (typeof createImageBitmap !== 'undefined') return createImageBitmap(blob);
+
+  const url = URL.createObjectURL(blob);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// EXIFの向き(2〜8)ごとの変換行列 [a, b, c, d, e, f] (w, h: 元画像のサイズ)
+const ORIENTATION_TRANSFORMS = {
+  2: (w) => [-1, 0, 0, 1, w, 0],
+  3: (w, h) => [-1, 0, 0, -1, w, h],
+  4: (w, h) => [1, 0, 0, -1, 0, h],
+  5: () => [0, 1, 1, 0, 0, 0],
+  6: (w, h) => [0, 1, -1, 0, h, 0],
+  7: (w, h) => [0, -1, -1, 0, h, w],
+  8: (w) => [0, -1, 1, 0, 0, w],
+};
+const NORMALIZED_QUALITY = 0.95;
+
+// EXIFの向きを画素に反映した画像を返す (向きの指定がない画像はそのまま返す)
+// ブラウザによって自動回転の有無が異なるため、向きの情報を消してからアプリ側で回転させる
+// exif: readExifの戻り値
+export const normalizeOrientation = async (blob, exif) => {
+  if (exif.orientation <= 1) return blob;
+  const image = await decodeImage(await resetOrientation(blob, exif));
+  try {
+    const { width, height } = image;
+    const isSwapped = exif.orientation >= 5;
+    const canvas = createCanvas(isSwapped ? height : width, isSwapped ? width : height);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(...ORIENTATION_TRANSFORMS[exif.orientation](width, height));
+    ctx.drawImage(image, 0, 0);
+    return await canvasToBlob(canvas, 'image/jpeg', NORMALIZED_QUALITY);
+  } finally {
+    image.close?.();
+  }
+};
+
+// canvasの補間処理で段階的に縮小する (従来の方式)
+const getBrowserResizedCanvas = (image, cropRect, targetSize) => {
+  const { x: sourceX, y: sourceY, width: sourceWidth, height: sourceHeight } = cropRect;
+
+  // 1. 元画像から必要な部分だけを高解像度で切り出す
+  const cropCanvas = createCanvas(Math.round(sourceWidth), Math.round(sourceHeight));
+  const cropCtx = cropCanvas.getContext('2d');
+  cropCtx.drawImage(image, sourceX, sourceY, sourceWidth, sourceHeight, 0, 0, cropCanvas.width, cropCanvas.height);
+
+  // 2. 段階的にリサイズして品質を維持する
+  let currentCanvas = cropCanvas;
+  let currentWidth = cropCanvas.width;
+  let currentHeight = cropCanvas.height;
+
+  // ターゲットサイズの半分より大きい間、半分に縮小を繰り返す
+  while (currentWidth > targetSize.w * 2 && currentHeight > targetSize.h * 2) {
+    const halfWidth = Math.floor(currentWidth / 2);
+    const halfHeight = Math.floor(currentHeight / 2);
+
+    // 最後のステップ以外では、スムージングをかけすぎない設定も有効
+    if (halfWidth < targetSize.w * 1.5) {
+      break;
+    }
+
+    const tempCanvas = createCanvas(halfWidth, halfHeight);
+    const tempCtx = tempCanvas.getContext('2d');
+    tempCtx.imageSmoothingQuality = 'medium'; // 中間処理はmedium
+    tempCtx.drawImage(currentCanvas, 0, 0, currentWidth, currentHeight, 0, 0, halfWidth, halfHeight);
+
+    currentCanvas = tempCanvas;
+    currentWidth = halfWidth;
+    currentHeight = halfHeight;
+  }
+
+  // 3. 最終的なターゲットサイズに描画する
+  const finalCanvas = createCanvas(targetSize.w, targetSize.h);
+  const finalCtx = finalCanvas.getContext('2d');
+
+  // 最終描画では品質を最高に設定
+  finalCtx.imageSmoothingQuality = 'high';
+  finalCtx.drawImage(currentCanvas, 0, 0, currentWidth, currentHeight, 0, 0, targetSize.w, targetSize.h);
+
+  return finalCanvas;
+};
+
+// トリミング範囲を画素配列上のフィルタ(resample.js)で縮小する
+// 切り出しは等倍・整数座標で行い、ブラウザの補間処理が結果に影響しないようにする
+const getResampledCanvas = (image, cropRect, targetSize, filterName) => {
+  const x = Math.round(cropRect.x);
+  const y = Math.round(cropRect.y);
+  const width = Math.max(1, Math.round(cropRect.width));
+  const height = Math.max(1, Math.round(cropRect.height));
+
+  const cropCanvas = createCanvas(width, height);
+  const cropCtx = cropCanvas.getContext('2d');
+  cropCtx.imageSmoothingEnabled = false;
+  cropCtx.drawImage(image, x, y, width, height, 0, 0, width, height);
+
+  const resized = resamplePixels(cropCtx.getImageData(0, 0, width, height), targetSize.w, targetSize.h, filterName);
+  const finalCanvas = createCanvas(targetSize.w, targetSize.h);
+  finalCanvas.getContext('2d').putImageData(new ImageData(resized.data, resized.width, resized.height), 0, 0);
+  return finalCanvas;
+};
+
+// 指定範囲を指定サイズに縮小する (リサンプリング方式で処理を切り替え)
+const resizeRegion = (image, rect, size, resampling) => (resampling === 'browser'
+  ? getBrowserResizedCanvas(image, rect, size)
+  : getResampledCanvas(image, rect, size, resampling));
+
+// 余白を付けて全体を収める(contain)場合に、画像を描画する位置とサイズを返す
+// marginPercent: 出力サイズに対する上下左右それぞれの余白の割合(%)
+export const getContainRect = (imageWidth, imageHeight, targetSize, marginPercent = 0) => {
+  const availableWidth = Math.max(1, targetSize.w * (1 - (marginPercent * 2) / 100));
+  const availableHeight = Math.max(1, targetSize.h * (1 - (marginPercent * 2) / 100));
+  const scale = Math.min(availableWidth / imageWidth, availableHeight / imageHeight);
+  const width = Math.max(1, Math.round(imageWidth * scale));
+  const height = Math.max(1, Math.round(imageHeight * scale));
+  return { x: Math.round((targetSize.w - width) / 2), y: Math.round((targetSize.h - height) / 2), width, height };
+};
+
+const BLUR_REDUCTION = 24; // ぼかし背景を作る際の縮小率
+
+// 余白部分を塗る (padFill: 'color' / 'transparent' / 'blur')
+const fillPadding = (ctx, image, width, height, padFill, padColor) => {
+  if (padFill === 'transparent') return;
+  if (padFill === 'blur') {
+    // 画像を一度ごく小さく縮小してから拡大することで、canvasのfilter(未対応のブラウザがある)を使わずにぼかす
+    const cover = getCenterCropRect(image.width, image.height, { w: width, h: height });
+    const small = createCanvas(Math.max(1, Math.round(width / BLUR_REDUCTION)), Math.max(1, Math.round(height / BLUR_REDUCTION)));
+    const smallCtx = small.getContext('2d');
+    smallCtx.imageSmoothingQuality = 'high';
+    smallCtx.drawImage(image, cover.x, cover.y, cover.width, cover.height, 0, 0, small.width, small.height);
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(small, 0, 0, width, height);
+    return;
+  }
+  ctx.fillStyle = padColor;
+  ctx.fillRect(0, 0, width, height);
+};
+
+// 縮小後の画像に色調補正とシャープ処理を適用する (canvasを直接書き換える)
+const applyPixelFilters = (canvas, { sharpen, adjustments }) => {
+  if (sharpen <= 0 && isNeutralAdjustments(adjustments)) return;
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  applyAdjustments(imageData, adjustments);
+  if (sharpen > 0) unsharpMask(imageData, { amount: sharpen });
+  ctx.putImageData(imageData, 0, 0);
+};
+
+// 画像全体を余白付きで出力サイズに収める
+// 色調補正・シャープ処理は画像の部分だけに適用し、余白の色やぼかし背景は変えない
+const getContainedCanvas = (image, targetSize, { resampling, padFill, padColor, marginPercent, sharpen, adjustments }) => {
+  const rect = getContainRect(image.width, image.height, targetSize, marginPercent);
+  const fullRect = { x: 0, y: 0, width: image.width, height: image.height };
+  const resized = resizeRegion(image, fullRect, { w: rect.width, h: rect.height }, resampling);
+  applyPixelFilters(resized, { sharpen, adjustments });
+
+  const canvas = createCanvas(targetSize.w, targetSize.h);
+  const ctx = canvas.getContext('2d');
+  fillPadding(ctx, image, targetSize.w, targetSize.h, padFill, padColor);
+  ctx.drawImage(resized, rect.x, rect.y);
+  return canvas;
+};
+
+// トリミング範囲を切り出し、出力サイズに縮小したcanvasを返す
+// options.resampling: 'browser' (canvasで段階的に縮小) / 'bilinear' / 'bicubic' / 'lanczos3'
+// options.sharpen: 縮小後のアンシャープマスクの強さ (0で無効)
+// cropDataに回転・反転が含まれる場合は、変換後の画像から切り出す
+// options.fit: 'cover' (切り抜いて埋める) / 'contain' (余白を付けて全体を収める。cropDataは使用しない)
+// options.padFill, padColor, marginPercent: contain時の余白の塗り方・色・余白率
+// options.adjustments: 色調補正 (adjust.jsを参照。縮小後・シャープ処理の前に適用。contain時は余白を除く)
+export const getCroppedCanvas = (image, cropData, targetSize, {
+  resampling = 'browser',
+  sharpen = 0,
+  adjustments = null,
+  fit = 'cover',
+  padFill = 'color',
+  padColor = '#ffffff',
+  marginPercent = 0,
+} = {}) => {
+  if (fit === 'contain') {
+    return getContainedCanvas(image, targetSize, { resampling, padFill, padColor, marginPercent, sharpen, adjustments });
+  }
+  const finalCanvas = resizeRegion(getTransformedImage(image, cropData), cropData || getCenterCropRect(image.width, image.height, targetSize), targetSize, resampling);
+  applyPixelFilters(finalCanvas, { sharpen, adjustments });
+  return finalCanvas;
+};
+
+// ウォーターマークの配置 (縦・横それぞれ 0: 左/上, 0.5: 中央, 1: 右/下)
+export const WATERMARK_ANCHORS = {
+  'top-left': [0, 0], 'top': [0.5, 0], 'top-right': [1, 0],
+  'left': [0, 0.5], 'center': [0.5, 0.5], 'right': [1, 0.5],
+  'bottom-left': [0, 1], 'bottom': [0.5, 1], 'bottom-right': [1, 1],
+};
+const WATERMARK_MARGIN = 0.03; // 端からの余白 (出力の短辺に対する割合)
+
+// ウォーターマークを描画する
+// rect: 出力画像にあたる範囲 (プレビューではサムネイル内の表示範囲)
+// watermark: { kind: 'text' | 'image', text, color, anchor, opacity (0〜1), scale (出力の幅に対する%) }
+// watermarkImage: kindが'image'の場合に描画する画像
+export const drawWatermark = (ctx, rect, watermark, watermarkImage = null) => {
+  const [anchorX, anchorY] = WATERMARK_ANCHORS[watermark.anchor] || WATERMARK_ANCHORS['bottom-right'];
+  const targetWidth = rect.width * (watermark.scale / 100);
+  const margin = Math.min(rect.width, rect.height) * WATERMARK_MARGIN;
+  const place = (width, height) => ({
+    x: rect.x + margin + (rect.width - margin * 2 - width) * anchorX,
+    y: rect.y + margin + (rect.height - margin * 2 - height) * anchorY,
+  });
+
+  ctx.save();
+  ctx.globalAlpha = watermark.opacity;
+  if (watermark.kind === 'image') {
+    if (watermarkImage) {
+      const height = targetWidth * (watermarkImage.height / watermarkImage.width);
+      const { x, y } = place(targetWidth, height);
+      ctx.imageSmoothingQuality = 'high';
+      ctx.drawImage(watermarkImage, x, y, targetWidth, height);
+    }
+  } else if (watermark.text) {
+    // 文字列の幅が指定の大きさになるよう、フォントサイズを合わせる
+    const BASE_FONT_SIZE = 100;
+    ctx.font = `bold ${BASE_FONT_SIZE}px sans-serif`;
+    const fontSize = BASE_FONT_SIZE * (targetWidth / ctx.measureText(watermark.text).width);
+    ctx.font = `bold ${fontSize}px sans-serif`;
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = watermark.color || '#ffffff';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.4)';
+    ctx.shadowBlur = fontSize * 0.1;
+    const { x, y } = place(ctx.measureText(watermark.text).width, fontSize);
+    ctx.fillText(watermark.text, x, y);
+  }
+  ctx.restore();
+};
+
+// 出力画像全体にウォーターマークを合成する (画像はimageUrlのdata URLから読み込む)
+const applyWatermark = async (canvas, watermark) => {
+  const ctx = canvas.getContext('2d');
+  const rect = { x: 0, y: 0, width: canvas.width, height: canvas.height };
+  if (watermark.kind !== 'image') {
+    drawWatermark(ctx, rect, watermark);
+    return;
+  }
+  const image = await decodeImage(await (await fetch(watermark.imageUrl)).blob());
+  try {
+    drawWatermark(ctx, rect, watermark, image);
+  } finally {
+    image.close?.();
+  }
+};
+
+// canvasを指定形式のBlobにエンコード (OffscreenCanvasとcanvas要素の両方に対応)
+export const canvasToBlob = (canvas, type, quality) => {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('画像のエンコードに失敗しました。'))), type, quality);
+  });
+};
+
+// この環境のcanvasが指定形式でエンコードできるかを確認する (非対応の場合、エンコード結果はPNGになる)
+// 実際のエンコードと同じく、OffscreenCanvasが使える環境ではOffscreenCanvasで確認する
+export const isFormatEncodable = async (format) => {
+  try {
+    const blob = await canvasToBlob(createCanvas(1, 1), format);
+    return blob.type === format;
+  } catch {
+    return false;
+  }
+};
+
+// 透過部分を指定色で塗りつぶす (JPEGなど透過を扱えない形式で、透過部分が黒くならないようにする)
+const flattenCanvas = (canvas, color) => {
+  const ctx = canvas.getContext('2d');
+  ctx.save();
+  ctx.globalCompositeOperation = 'destination-over';
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.restore();
+};
+
+// 画質を指定できない形式 (PNGは可逆圧縮のため、ファイルサイズ上限による画質の探索は行わない)
+const LOSSLESS_FORMATS = ['image/png'];
+
+const MIN_QUALITY = 0.05;
+const QUALITY_SEARCH_STEPS = 7; // 二分探索の回数 (画質の刻みが1%未満になる回数)
+
+// ファイルサイズの上限(バイト)に収まる最も高い画質を二分探索してエンコードする
+// 最低画質でも収まらない場合は、最低画質の結果を isOverLimit: true として返す
+const encodeWithinSize = async (canvas, type, maxQuality, maxBytes) => {
+  const first = await canvasToBlob(canvas, type, maxQuality);
+  if (first.size <= maxBytes) return { blob: first, quality: maxQuality, isOverLimit: false };
+
+  let low = MIN_QUALITY;
+  let high = maxQuality;
+  let best = null;
+  for (let step = 0; step < QUALITY_SEARCH_STEPS; step++) {
+    const quality = (low + high) / 2;
+    const blob = await canvasToBlob(canvas, type, quality);
+    if (blob.size <= maxBytes) {
+      best = { blob, quality, isOverLimit: false };
+      low = quality;
+    } else {
+      high = quality;
+    }
+  }
+  if (best) return best;
+
+  const smallest = await canvasToBlob(canvas, type, MIN_QUALITY);
+  return { blob: smallest, quality: MIN_QUALITY, isOverLimit: smallest.size > maxBytes };
+};
+
+// 1枚分の処理: デコード → トリミング → 縮小 → ウォーターマーク合成 → エンコード
+// job: { blob, cropData, targetSize, format, background, quality, maxBytes, resampling, sharpen, fitOptions, adjustments, watermark, metadata }
+// watermark: drawWatermarkの設定 (省略時は合成しない)
+// metadata: JPEGに残す { artist, copyright } (省略時はメタデータを含めない)
+// 戻り値: { blob, quality (実際にエンコードした画質。PNGはnull), isOverLimit (上限に収まらなかった場合true),
+//          cropRect (実際に切り出した範囲。containの場合はnull) }
+// ※ ブラウザが指定形式のエンコードに未対応の場合、blob.typeは指定と異なる形式(PNG)になり、qualityはnullになる
+export const processImage = async ({ blob, cropData, targetSize, format = 'image/jpeg', background = '#ffffff', quality, maxBytes, resampling, sharpen, fitOptions, adjustments, watermark, metadata }) => {
+  const image = await decodeImage(blob);
+  try {
+    const cropRect = fitOptions?.fit === 'contain' ? null : (cropData || getCenterCropRect(image.width, image.height, targetSize));
+    const canvas = getCroppedCanvas(image, cropRect, targetSize, { resampling, sharpen, adjustments, ...fitOptions });
+    if (format === 'image/jpeg') flattenCanvas(canvas, background);
+    if (watermark) await applyWatermark(canvas, watermark);
+
+    if (LOSSLESS_FORMATS.includes(format)) {
+      const encoded = await canvasToBlob(canvas, format);
+      return { blob: encoded, quality: null, isOverLimit: Boolean(maxBytes) && encoded.size > maxBytes, cropRect };
+    }
+    // 埋め込むEXIFの分だけ、画像データに使えるサイズを減らす
+    const exifSegment = format === 'image/jpeg' && metadata ? createExifSegment(metadata) : null;
+    const result = maxBytes
+      ? await encodeWithinSize(canvas, format, quality, maxBytes - (exifSegment?.length || 0))
+      : { blob: await canvasToBlob(canvas, format, quality), quality, isOverLimit: false };
+    if (result.blob.type !== format) {
+      return { blob: result.blob, quality: null, isOverLimit: Boolean(maxBytes) && result.blob.size > maxBytes, cropRect };
+    }
+    if (exifSegment && result.blob.type === 'image/jpeg') result.blob = await embedExifSegment(result.blob, exifSegment);
+    return { ...result, cropRect };
+  } finally {
+    image.close?.(); // ImageBitmapのメモリを解放
+  }
+};
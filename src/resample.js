@@ -0,0 +1,177 @@
+// === 画素バッファ上でのリサンプリング ===
+// canvasによる縮小(imageSmoothingQuality)はブラウザごとに実装が異なり、結果が揃わないため、
+// RGBAの画素配列を直接計算して縮小します。メインスレッドとWeb Workerの両方から利用します。
+
+const sinc = (x) => {
+  if (x === 0) return 1;
+  const px = Math.PI * x;
+  return Math.sin(px) / px;
+};
+
+// リサンプリングフィルタ (support: カーネルの半径)
+export const RESAMPLING_FILTERS = {
+  bilinear: {
+    support: 1,
+    kernel: (x) => {
+      const ax = Math.abs(x);
+      return ax < 1 ? 1 - ax : 0;
+    },
+  },
+  // Catmull-Rom (a = -0.5)
+  bicubic: {
+    support: 2,
+    kernel: (x) => {
+      const ax = Math.abs(x);
+      if (ax < 1) return 1.5 * ax ** 3 - 2.5 * ax ** 2 + 1;
+      if (ax < 2) return -0.5 * ax ** 3 + 2.5 * ax ** 2 - 4 * ax + 2;
+      return 0;
+    },
+  },
+  lanczos3: {
+    support: 3,
+    kernel: (x) => (Math.abs(x) < 3 ? sinc(x) * sinc(x / 3) : 0),
+  },
+};
+
+// 1次元方向の重みテーブルを作成 (縮小時はフィルタの幅を縮小率に合わせて広げ、エイリアシングを防ぐ)
+const computeContributions = (srcSize, dstSize, filter) => {
+  const scale = dstSize / srcSize;
+  const filterScale = Math.max(1, 1 / scale);
+  const support = filter.support * filterScale;
+  const contributions = new Array(dstSize);
+
+  for (let i = 0; i < dstSize; i++) {
+    const center = (i + 0.5) / scale;
+    const start = Math.max(0, Math.floor(center - support));
+    const end = Math.min(srcSize - 1, Math.ceil(center + support));
+    const weights = new Float32Array(end - start + 1);
+    let total = 0;
+    for (let j = start; j <= end; j++) {
+      const weight = filter.kernel((j + 0.5 - center) / filterScale);
+      weights[j - start] = weight;
+      total += weight;
+    }
+    if (total !== 0) {
+      for (let k = 0; k < weights.length; k++) weights[k] /= total;
+    }
+    contributions[i] = { start, weights };
+  }
+  return contributions;
+};
+
+// RGBA画素配列を指定サイズにリサンプリングする
+// 透過部分の色が縁ににじまないよう、アルファ値を乗算した状態で計算する
+// src: { data: Uint8ClampedArray, width, height } → 同じ形式で返す
+export const resamplePixels = (src, dstWidth, dstHeight, filterName) => {
+  const filter = RESAMPLING_FILTERS[filterName];
+  if (!filter) throw new Error(`未対応のリサンプリング方式です: ${filterName}`);
+  const { data, width: srcWidth, height: srcHeight } = src;
+
+  // 1. 横方向 (srcWidth × srcHeight → dstWidth × srcHeight)
+  const horizontal = computeContributions(srcWidth, dstWidth, filter);
+  const temp = new Float32Array(dstWidth * srcHeight * 4);
+  for (let y = 0; y < srcHeight; y++) {
+    const rowOffset = y * srcWidth;
+    for (let x = 0; x < dstWidth; x++) {
+      const { start, weights } = horizontal[x];
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const index = (rowOffset + start + k) * 4;
+        const alphaWeight = weights[k] * data[index + 3];
+        r += data[index] * alphaWeight;
+        g += data[index + 1] * alphaWeight;
+        b += data[index + 2] * alphaWeight;
+        a += alphaWeight;
+      }
+      const out = (y * dstWidth + x) * 4;
+      temp[out] = r;
+      temp[out + 1] = g;
+      temp[out + 2] = b;
+      temp[out + 3] = a;
+    }
+  }
+
+  // 2. 縦方向 (dstWidth × srcHeight → dstWidth × dstHeight)
+  const vertical = computeContributions(srcHeight, dstHeight, filter);
+  const output = new Uint8ClampedArray(dstWidth * dstHeight * 4);
+  const row = new Float32Array(dstWidth * 4);
+  for (let y = 0; y < dstHeight; y++) {
+    const { start, weights } = vertical[y];
+    row.fill(0);
+    for (let k = 0; k < weights.length; k++) {
+      const weight = weights[k];
+      const offset = (start + k) * dstWidth * 4;
+      for (let i = 0; i < row.length; i++) row[i] += temp[offset + i] * weight;
+    }
+    for (let x = 0; x < dstWidth; x++) {
+      const i = x * 4;
+      const out = (y * dstWidth + x) * 4;
+      const alpha = row[i + 3];
+      if (alpha <= 0) continue; // 完全に透明 (Uint8ClampedArrayの初期値0のまま)
+      output[out] = row[i] / alpha;
+      output[out + 1] = row[i + 1] / alpha;
+      output[out + 2] = row[i + 2] / alpha;
+      output[out + 3] = alpha;
+    }
+  }
+
+  return { data: output, width: dstWidth, height: dstHeight };
+};
+
+// 1次元ガウシアンカーネル
+const createGaussianKernel = (radius) => {
+  const sigma = Math.max(radius, 0.1);
+  const size = Math.ceil(sigma * 3);
+  const kernel = new Float32Array(size * 2 + 1);
+  let total = 0;
+  for (let i = -size; i <= size; i++) {
+    const value = Math.exp(-(i * i) / (2 * sigma * sigma));
+    kernel[i + size] = value;
+    total += value;
+  }
+  for (let i = 0; i < kernel.length; i++) kernel[i] /= total;
+  return kernel;
+};
+
+// アンシャープマスクでRGBを鮮鋭化する (画素配列を直接書き換える)
+// amount: 強さ (0〜), radius: ぼかし半径(px), threshold: この差(0〜255)以下の画素は変更しない
+export const unsharpMask = ({ data, width, height }, { amount, radius = 0.8, threshold = 2 }) => {
+  if (amount <= 0) return;
+  const kernel = createGaussianKernel(radius);
+  const half = (kernel.length - 1) / 2;
+  const horizontal = new Float32Array(width * height * 3);
+  const clampIndex = (value, max) => Math.min(Math.max(value, 0), max - 1);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0, g = 0, b = 0;
+      for (let k = 0; k < kernel.length; k++) {
+        const index = (y * width + clampIndex(x + k - half, width)) * 4;
+        r += data[index] * kernel[k];
+        g += data[index + 1] * kernel[k];
+        b += data[index + 2] * kernel[k];
+      }
+      const out = (y * width + x) * 3;
+      horizontal[out] = r;
+      horizontal[out + 1] = g;
+      horizontal[out + 2] = b;
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const blurred = [0, 0, 0];
+      for (let k = 0; k < kernel.length; k++) {
+        const index = (clampIndex(y + k - half, height) * width + x) * 3;
+        blurred[0] += horizontal[index] * kernel[k];
+        blurred[1] += horizontal[index + 1] * kernel[k];
+        blurred[2] += horizontal[index + 2] * kernel[k];
+      }
+      const index = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        const diff = data[index + c] - blurred[c];
+        if (Math.abs(diff) > threshold) data[index + c] = data[index + c] + diff * amount;
+      }
+    }
+  }
+};
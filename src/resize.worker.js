@@ -0,0 +1,14 @@
+// リサイズ処理用のWeb Worker
+// メインスレッドから受け取った画像をOffscreenCanvasで処理し、エンコード結果(Blobと画質)を返します。
+// checkFormatを受け取った場合は、ワーカー内でその形式にエンコードできるか(true/false)を返します。
+import { processImage, isFormatEncodable } from './imagePipeline.js';
+
+self.onmessage = async (e) => {
+  const { id, job, checkFormat } = e.data;
+  try {
+    const result = checkFormat ? await isFormatEncodable(checkFormat) : await processImage(job);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error?.message || String(error) });
+  }
+};
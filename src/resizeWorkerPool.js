@@ -0,0 +1,130 @@
+// === リサイズ処理のワーカープール ===
+// 複数のWeb Workerで画像を並列に処理します。
+// Web Worker・OffscreenCanvas・createImageBitmapのいずれかが使えない環境では、メインスレッドで1枚ずつ処理します。
+import { processImage, isFormatEncodable } from './imagePipeline.js';
+
+const isWorkerSupported = () =>
+  typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+
+// 同時に動かすワーカーの数 (メモリ使用量を抑えるため最大4つ)
+const getDefaultPoolSize = () => Math.max(1, Math.min(navigator.hardwareConcurrency || 2, 4));
+
+// 出力のエンコードに使う環境(ワーカー、使えない場合はメインスレッド)で、指定形式にエンコードできるかを確認する
+// メインスレッドのcanvasとワーカーのOffscreenCanvasでは、対応している形式が異なるブラウザがあるため
+export const checkFormatSupport = async (format) => {
+  if (!isWorkerSupported()) return isFormatEncodable(format);
+  let worker;
+  try {
+    worker = new Worker(new URL('./resize.worker.js', import.meta.url), { type: 'module' });
+    return await new Promise((resolve, reject) => {
+      worker.onmessage = (e) => (e.data.error ? reject(new Error(e.data.error)) : resolve(e.data.result));
+      worker.onerror = (e) => {
+        e.preventDefault?.();
+        reject(new Error(e.message));
+      };
+      worker.postMessage({ id: 0, checkFormat: format });
+    });
+  } catch (error) {
+    // ワーカーが起動できない場合は、出力もメインスレッドで処理されるため、メインスレッドで確認する
+    console.warn("ワーカーで形式の対応を確認できないため、メインスレッドで確認します:", error);
+    return isFormatEncodable(format);
+  } finally {
+    worker?.terminate();
+  }
+};
+
+export const createResizeWorkerPool = (size = getDefaultPoolSize()) => {
+  const workers = [];
+  const idleWorkers = [];
+  const queue = []; // 空きワーカー待ちのジョブ
+  const pending = new Map(); // id → { resolve, reject, job }
+  let nextId = 0;
+  let mainThreadChain = Promise.resolve();
+
+  // メインスレッドでの処理 (UIが固まらないよう、1枚ずつ順番に処理する)
+  const runOnMainThread = (job) => {
+    const result = mainThreadChain.then(() => processImage(job));
+    mainThreadChain = result.catch(() => {});
+    return result;
+  };
+
+  const dispatch = () => {
+    while (idleWorkers.length > 0 && queue.length > 0) {
+      const worker = idleWorkers.pop();
+      const { id, job } = queue.shift();
+      worker.currentJobId = id;
+      worker.postMessage({ id, job });
+    }
+  };
+
+  const handleMessage = (worker) => (e) => {
+    const { id, result, error } = e.data;
+    const entry = pending.get(id);
+    worker.currentJobId = null;
+    idleWorkers.push(worker);
+    if (entry) {
+      pending.delete(id);
+      if (error) {
+        // ワーカー内で処理できなかった画像 (OffscreenCanvasの機能不足など) はメインスレッドで再試行する
+        console.warn("ワーカーでの処理に失敗したため、メインスレッドで再試行します:", error);
+        runOnMainThread(entry.job).then(entry.resolve, entry.reject);
+      } else {
+        entry.resolve(result);
+      }
+    }
+    dispatch();
+  };
+
+  // ワーカー自体が起動できない場合は、以降の処理をすべてメインスレッドに切り替える
+  const handleError = (worker) => (e) => {
+    console.warn("ワーカーでエラーが発生したため、メインスレッドで処理します:", e.message);
+    e.preventDefault?.();
+    worker.terminate();
+    workers.splice(workers.indexOf(worker), 1);
+    const idleIndex = idleWorkers.indexOf(worker);
+    if (idleIndex !== -1) idleWorkers.splice(idleIndex, 1);
+
+    const failedIds = worker.currentJobId !== null && worker.currentJobId !== undefined ? [worker.currentJobId] : [];
+    if (workers.length === 0) failedIds.push(...queue.splice(0).map(({ id }) => id));
+    failedIds.forEach(id => {
+      const entry = pending.get(id);
+      if (!entry) return;
+      pending.delete(id);
+      runOnMainThread(entry.job).then(entry.resolve, entry.reject);
+    });
+  };
+
+  if (isWorkerSupported()) {
+    try {
+      for (let i = 0; i < size; i++) {
+        const worker = new Worker(new URL('./resize.worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = handleMessage(worker);
+        worker.onerror = handleError(worker);
+        workers.push(worker);
+        idleWorkers.push(worker);
+      }
+    } catch (error) {
+      console.warn("ワーカーを起動できないため、メインスレッドで処理します:", error);
+      workers.splice(0).forEach(worker => worker.terminate());
+      idleWorkers.length = 0;
+    }
+  }
+
+  // job: processImageの引数と同じ → { blob, quality, isOverLimit, cropRect } を返す
+  const run = (job) => {
+    if (workers.length === 0) return runOnMainThread(job);
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve, reject, job });
+      queue.push({ id, job });
+      dispatch();
+    });
+  };
+
+  const terminate = () => {
+    workers.splice(0).forEach(worker => worker.terminate());
+    idleWorkers.length = 0;
+  };
+
+  return { run, terminate };
+};
@@ -0,0 +1,131 @@
+// === 作業中のセッションの保存 (IndexedDB) ===
+// 再読み込みやタブを誤って閉じた場合に作業を再開できるよう、画像と編集内容を保存します。
+// 元画像のBlobは容量が大きいため画像の追加時に1回だけ保存し、編集内容(トリミング・種別など)とは別に管理します。
+// アップロードしたファイル自体は保存せず (HEICの場合は変換前後の2つを保存することになるため)、
+// 変換後のBlobとファイル名などの情報から復元時にFileを作り直します。
+
+const DB_NAME = 'mediaResizerSession';
+const DB_VERSION = 1;
+const BLOB_STORE = 'blobs'; // id → { id, sourceBlob, fileInfo: { name, type, lastModified, relativePath } }
+const IMAGE_STORE = 'images'; // id → 編集内容 (Blobを含まない)
+const META_STORE = 'meta'; // 'session' → { imageIds, settings, savedAt }
+const SESSION_KEY = 'session';
+
+// 保存する編集内容 (サムネイルや解析結果は復元時に作り直す)
+const PERSISTED_IMAGE_FIELDS = ['id', 'relativePath', 'type', 'crops', 'adjustments', 'metadata'];
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDBが利用できません。'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        [BLOB_STORE, IMAGE_STORE].forEach(name => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+        });
+        if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// アップロードしたFileのうち、復元に必要な情報
+const getFileInfo = ({ file, relativePath }) => ({ name: file.name, type: file.type, lastModified: file.lastModified, relativePath });
+
+// 保存した情報からアップロード時のFileを作り直す (中身は変換後のBlob)
+const restoreFile = (sourceBlob, { name, type, lastModified, relativePath }) => {
+  const file = new File([sourceBlob], name, { type, lastModified });
+  if (relativePath) Object.defineProperty(file, 'relativePath', { value: relativePath });
+  return file;
+};
+
+// 保存容量の不足による失敗か (容量不足の場合はトランザクション全体が中止され、何も保存されない)
+export const isQuotaExceededError = (error) => error?.name === 'QuotaExceededError';
+
+// 画像一覧と設定を保存する (Blobは未保存の画像の分だけ書き込み、使われなくなったBlobは削除する)
+// options.saveNewBlobs: falseの場合は未保存の画像のBlobを書き込まず、その画像はセッションに含めない
+//   (容量不足で失敗した後も、保存済みの画像の編集内容だけは保存し続けるために使う)
+// 戻り値: セッションに含められなかった画像の数
+export const saveSession = async (images, settings, { saveNewBlobs = true } = {}) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([BLOB_STORE, IMAGE_STORE, META_STORE], 'readwrite');
+  const blobStore = transaction.objectStore(BLOB_STORE);
+  const imageStore = transaction.objectStore(IMAGE_STORE);
+  const done = transactionDone(transaction);
+
+  const storedBlobIds = new Set(await promisifyRequest(blobStore.getAllKeys()));
+  const storedImageIds = await promisifyRequest(imageStore.getAllKeys());
+  const savedImages = saveNewBlobs ? images : images.filter(image => storedBlobIds.has(image.id));
+  const imageIds = savedImages.map(image => image.id);
+
+  savedImages.forEach(image => {
+    if (!storedBlobIds.has(image.id)) blobStore.put({ id: image.id, sourceBlob: image.sourceBlob, fileInfo: getFileInfo(image) });
+    imageStore.put(Object.fromEntries(PERSISTED_IMAGE_FIELDS.map(field => [field, image[field]])));
+  });
+  const currentIds = new Set(imageIds);
+  storedBlobIds.forEach(id => { if (!currentIds.has(id)) blobStore.delete(id); });
+  storedImageIds.forEach(id => { if (!currentIds.has(id)) imageStore.delete(id); });
+  transaction.objectStore(META_STORE).put({ imageIds, settings, savedAt: Date.now() }, SESSION_KEY);
+
+  await done;
+  return images.length - savedImages.length;
+};
+
+// 保存されているセッションの概要を返す (ない場合はnull)
+export const loadSessionSummary = async () => {
+  const db = await openDatabase();
+  const session = await promisifyRequest(db.transaction(META_STORE).objectStore(META_STORE).get(SESSION_KEY));
+  if (!session || session.imageIds.length === 0) return null;
+  return { imageCount: session.imageIds.length, savedAt: session.savedAt };
+};
+
+// 保存されているセッションを読み込む
+// 戻り値: { images: [{ id, file, sourceBlob, relativePath, type, crops, adjustments, metadata }], settings } (ない場合はnull)
+export const loadSession = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction([BLOB_STORE, IMAGE_STORE, META_STORE]);
+  const session = await promisifyRequest(transaction.objectStore(META_STORE).get(SESSION_KEY));
+  if (!session) return null;
+
+  const images = await Promise.all(session.imageIds.map(async (id) => {
+    const [blobs, record] = await Promise.all([
+      promisifyRequest(transaction.objectStore(BLOB_STORE).get(id)),
+      promisifyRequest(transaction.objectStore(IMAGE_STORE).get(id)),
+    ]);
+    if (!blobs || !record) return null;
+    // 以前の形式で保存された画像はアップロードしたファイルをそのまま保存している
+    const file = blobs.file ?? restoreFile(blobs.sourceBlob, blobs.fileInfo);
+    return { ...record, file, sourceBlob: blobs.sourceBlob };
+  }));
+  return { images: images.filter(Boolean), settings: session.settings };
+};
+
+// 保存されているセッションをすべて削除する
+export const clearSession = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction([BLOB_STORE, IMAGE_STORE, META_STORE], 'readwrite');
+  const done = transactionDone(transaction);
+  [BLOB_STORE, IMAGE_STORE, META_STORE].forEach(name => transaction.objectStore(name).clear());
+  await done;
+};
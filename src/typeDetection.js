@@ -0,0 +1,79 @@
+// === 画像種別の自動判定ルール ===
+// アップロード時に、ファイル名やフォルダのパスから画像種別を判定します。
+// ルールは上から順に評価し、最初に一致したルールの種別を使います。(どれにも一致しなければ既定の種別)
+
+// パターンの種類 (いずれも大文字・小文字は区別しない)
+export const RULE_MATCH_TYPES = {
+  substring: '含む',
+  glob: 'ワイルドカード (* ?)',
+  regex: '正規表現',
+};
+
+// パターンを照合する対象
+export const RULE_TARGETS = {
+  name: 'ファイル名',
+  folder: 'フォルダのパス',
+};
+
+// 初期設定 (フォルダ名による判定をファイル名より優先する)
+export const DEFAULT_TYPE_DETECTION = {
+  rules: [
+    { id: 'default-folder-staff', target: 'folder', matchType: 'regex', pattern: '(^|/)(staff|スタッフ)(/|$)', type: 'スタッフ' },
+    { id: 'default-folder-logo', target: 'folder', matchType: 'regex', pattern: '(^|/)(logos?|ロゴ)(/|$)', type: 'ロゴ' },
+    { id: 'default-folder-photo', target: 'folder', matchType: 'regex', pattern: '(^|/)(photos?|main|shop|写真)(/|$)', type: '写真' },
+    { id: 'default-name-staff', target: 'name', matchType: 'substring', pattern: 'staff', type: 'スタッフ' },
+    { id: 'default-name-logo', target: 'name', matchType: 'substring', pattern: 'logo', type: 'ロゴ' },
+    { id: 'default-name-logo-ja', target: 'name', matchType: 'substring', pattern: 'ロゴ', type: 'ロゴ' },
+  ],
+  defaultType: '写真',
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ルールのパターンを正規表現に変換する (正規表現が正しくない場合は例外)
+const toRegExp = ({ matchType, pattern: rawPattern }) => {
+  const pattern = rawPattern.normalize('NFC');
+  if (matchType === 'regex') return new RegExp(pattern, 'i');
+  if (matchType === 'glob') {
+    const source = pattern.split('').map(char => (char === '*' ? '.*' : char === '?' ? '.' : escapeRegExp(char))).join('');
+    return new RegExp(`^${source}$`, 'i');
+  }
+  return new RegExp(escapeRegExp(pattern), 'i');
+};
+
+// ルールの入力内容を確認し、問題があればメッセージを返す (問題がなければnull)
+export const validateRule = (rule) => {
+  if (!rule.pattern) return 'パターンが入力されていません。';
+  if (!RULE_MATCH_TYPES[rule.matchType]) return `対応していないパターンの種類です: ${rule.matchType}`;
+  if (!RULE_TARGETS[rule.target]) return `対応していない照合対象です: ${rule.target}`;
+  try {
+    toRegExp(rule);
+  } catch {
+    return `正規表現が正しくありません: ${rule.pattern}`;
+  }
+  return null;
+};
+
+// 相対パス(「フォルダ/ファイル名」)に一致するルールを返す
+// フォルダのルールは、ファイルに近いフォルダから順に、親のフォルダを1つずつ加えたパスと照合する
+// (a/b/c の場合は c → b/c → a/b/c。フォルダがない場合は '' と照合する)
+// 戻り値: { rule, index } (一致するルールがなければnull)
+export const findMatchingRule = (typeDetection, relativePath) => {
+  // macOSのファイル名は濁点などが分解された形(NFD)の場合があるため、合成した形に揃えて照合する
+  const segments = relativePath.normalize('NFC').split('/');
+  const name = segments.pop();
+  const folderCandidates = segments.length > 0
+    ? segments.map((_, depth) => segments.slice(segments.length - depth - 1).join('/'))
+    : [''];
+
+  const index = typeDetection.rules.findIndex(rule => {
+    if (validateRule(rule)) return false; // 入力途中などで正しくないルールは無視する
+    const regExp = toRegExp(rule);
+    return rule.target === 'name' ? regExp.test(name) : folderCandidates.some(candidate => regExp.test(candidate));
+  });
+  return index === -1 ? null : { rule: typeDetection.rules[index], index };
+};
+
+// 相対パスから画像種別を判定する
+export const detectImageType = (typeDetection, relativePath) =>
+  findMatchingRule(typeDetection, relativePath)?.rule.type ?? typeDetection.defaultType;